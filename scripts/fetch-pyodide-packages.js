@@ -0,0 +1,60 @@
+/**
+ * Download Pyodide package wheels into public/pyodide/, so that the packages
+ * imported by Python code blocks are served from the app's own origin.
+ *
+ * Usage: npm run pyodide:packages -- [--all | <package>...]
+ * Without arguments, the packages in DEFAULT_PACKAGES are downloaded. The
+ * dependencies of the requested packages are always included.
+ */
+import { access, mkdir, writeFile } from "node:fs/promises";
+import { createRequire } from "node:module";
+
+const DEFAULT_PACKAGES = ["numpy", "pandas", "matplotlib"];
+const OUTPUT_DIR = new URL("../public/pyodide/", import.meta.url);
+
+const require = createRequire(import.meta.url);
+const { version } = require("pyodide/package.json");
+const { packages } = require("pyodide/pyodide-lock.json");
+const CDN_URL = `https://cdn.jsdelivr.net/pyodide/v${version}/full/`;
+
+function resolve(names) {
+  const result = new Set();
+  const visit = (name) => {
+    const key = name.toLowerCase();
+    if (result.has(key)) return;
+    if (!packages[key]) throw new Error(`Unknown Pyodide package: ${name}`);
+    result.add(key);
+    packages[key].depends.forEach(visit);
+  };
+  names.forEach(visit);
+  return [...result];
+}
+
+async function exists(url) {
+  try {
+    await access(url);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const args = process.argv.slice(2);
+const names = args.includes("--all")
+  ? Object.keys(packages)
+  : resolve(args.length > 0 ? args : DEFAULT_PACKAGES);
+
+await mkdir(OUTPUT_DIR, { recursive: true });
+for (const name of names) {
+  const { file_name } = packages[name];
+  const target = new URL(file_name, OUTPUT_DIR);
+  if (await exists(target)) continue;
+
+  const response = await fetch(CDN_URL + file_name);
+  if (!response.ok) {
+    throw new Error(`Failed to download ${file_name}: ${response.status}`);
+  }
+  await writeFile(target, Buffer.from(await response.arrayBuffer()));
+  console.log(`Downloaded ${file_name}`);
+}
+console.log(`${names.length} package(s) for Pyodide ${version} in public/pyodide/`);
@@ -1,13 +1,74 @@
-import { useEffect, useState, useRef } from "react";
+import { useEffect, useMemo, useState, useRef } from "react";
 
 import Chat from "./components/Chat";
+import Sidebar from "./components/Sidebar";
+import ModelPicker from "./components/ModelPicker";
+import SettingsPanel from "./components/SettingsPanel";
+import StoragePanel from "./components/StoragePanel";
+import SystemPromptEditor from "./components/SystemPromptEditor";
+import ExportMenu from "./components/ExportMenu";
+import ContextMeter from "./components/ContextMeter";
+import ErrorBanner from "./components/ErrorBanner";
 import ArrowRightIcon from "./components/icons/ArrowRightIcon";
 import StopIcon from "./components/icons/StopIcon";
 import Progress from "./components/Progress";
 import LightBulbIcon from "./components/icons/LightBulbIcon";
+import { serveBridge } from "./lib/bridge";
+import {
+  createConversation,
+  deleteConversation,
+  deriveTitle,
+  getConversation,
+  listConversations,
+  renameConversation,
+  saveConversation,
+  updateConversation,
+} from "./lib/conversations";
+import { withReasoning } from "./lib/context";
+import {
+  DOCUMENT_TYPES,
+  addDocument,
+  deleteDocument,
+  deleteDocuments,
+  listDocuments,
+  retrieve,
+  withSources,
+} from "./lib/documents";
+import {
+  findCodeBlocks,
+  formatObservation,
+  runCell,
+  shutdownKernel,
+} from "./lib/kernels";
+import { DEFAULT_MODEL_ID, getDefaultDtype, getModel } from "./lib/models";
+import { createChatClient } from "./lib/openai";
+import { PROTOCOL_VERSION, validateEvent } from "./lib/protocol";
+import { DEFAULT_SETTINGS } from "./lib/settings";
+import { MAX_TOOL_ROUNDS, callTool, getToolSchemas } from "./lib/tools";
+import {
+  downloadFile,
+  parseTranscript,
+  toFilename,
+  toJSON,
+  toMarkdown,
+} from "./lib/transcript";
+import {
+  addChild,
+  appendMessage,
+  createTree,
+  getPath,
+  rewindTo,
+  selectSibling,
+  setActive,
+  updateLast,
+} from "./lib/tree";
 
-const IS_WEBGPU_AVAILABLE = !!navigator.gpu;
+const BACKEND_LABELS = {
+  webgpu: "WebGPU",
+  wasm: "CPU (WASM)",
+};
 const STICKY_SCROLL_THRESHOLD = 120;
+const MODEL_STORAGE_KEY = "private-talk:model";
 const EXAMPLES = [
   "Solve the equation x^2 - 3x + 2 = 0",
   "Lily is three times older than her son. In 15 years, she will be twice as old as him. How old is she now?",
@@ -22,30 +83,353 @@ function App() {
   const chatContainerRef = useRef(null);
 
   // Model loading and progress
+  const [backend, setBackend] = useState(null);
   const [status, setStatus] = useState(null);
+  // Last failure as `{phase, message, recoverable}` (see protocol.js)
   const [error, setError] = useState(null);
   const [loadingMessage, setLoadingMessage] = useState("");
   const [progressItems, setProgressItems] = useState([]);
   const [isRunning, setIsRunning] = useState(false);
 
+  // Model selection
+  const [modelId, setModelId] = useState(
+    () => localStorage.getItem(MODEL_STORAGE_KEY) ?? DEFAULT_MODEL_ID,
+  );
+  const [selectedDtype, setSelectedDtype] = useState(null);
+  const model = getModel(modelId);
+  const dtype =
+    selectedDtype ??
+    (backend ? getDefaultDtype(model, backend.device) : model.dtypes[0]);
+
   // Inputs and outputs
   const [input, setInput] = useState("");
-  const [messages, setMessages] = useState([]);
+  // The message tree holds every branch; `messages` is the active one.
+  const [tree, setTree] = useState(createTree);
+  const messages = useMemo(() => getPath(tree), [tree]);
   const [tps, setTps] = useState(null);
   const [numTokens, setNumTokens] = useState(null);
+  const [contextUsage, setContextUsage] = useState(null);
   const [reasonEnabled, setReasonEnabled] = useState(false);
+  const reasoning = reasonEnabled && model.thinking;
+
+  // Generation settings (persisted per conversation)
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const [settingsOpen, setSettingsOpen] = useState(false);
+
+  // Downloaded model files
+  const [storageOpen, setStorageOpen] = useState(false);
+
+  // System prompt (persisted per conversation)
+  const [systemPrompt, setSystemPrompt] = useState("");
+  const [systemPromptOpen, setSystemPromptOpen] = useState(false);
+
+  // Conversation history
+  const [conversations, setConversations] = useState([]);
+  const [conversationId, setConversationId] = useState(null);
+  const [sidebarOpen, setSidebarOpen] = useState(false);
+  // The last state written to (or read from) the store, so that re-opening
+  // a conversation does not count as a change.
+  const saved = useRef({ tree, settings, systemPrompt });
+
+  // Code execution: the kernel shared by the code blocks of this conversation
+  const kernelId = conversationId ?? "default";
+  // Completed generations, and the last one whose code was considered for
+  // automatic execution.
+  const [completions, setCompletions] = useState(0);
+  const handledCompletion = useRef(0);
+  const interrupted = useRef(false);
+  const execution = useRef(null);
+  // Id of the chat's latest generation request (see worker.js), and whether
+  // the next one continues the last answer instead of adding one.
+  const request = useRef(null);
+  const continuing = useRef(false);
+  // The answer hidden to generate a new one, as `{id, active}` of its
+  // question. It is shown again if the new answer never starts.
+  const rewound = useRef(null);
+
+  // Documents attached to this conversation, the files being indexed, and
+  // the chunks retrieved for the answer being generated.
+  const [documents, setDocuments] = useState([]);
+  const [indexing, setIndexing] = useState([]);
+  const sources = useRef([]);
+  const fileInputRef = useRef(null);
+
+  // The model answering requests of the API client, once it is loaded.
+  const apiModel = useRef(null);
+
+  function refreshConversations() {
+    listConversations()
+      .then(setConversations)
+      .catch((e) => console.error("Failed to list conversations:", e));
+  }
+
+  function startConversation(conversation) {
+    // Documents attached to a chat that was never sent are not kept.
+    if (conversationId !== null && messages.length === 0) {
+      deleteDocuments(conversationId).catch((e) =>
+        console.error("Failed to delete documents:", e),
+      );
+    }
+
+    // A new conversation keeps the current settings.
+    const restored = {
+      tree: conversation?.tree ?? createTree(),
+      settings: { ...DEFAULT_SETTINGS, ...(conversation?.settings ?? settings) },
+      systemPrompt: conversation?.systemPrompt ?? "",
+    };
+    saved.current = restored;
+    setConversationId(conversation?.id ?? null);
+    setTree(restored.tree);
+    setSettings(restored.settings);
+    setSystemPrompt(restored.systemPrompt);
+    setTps(null);
+    setNumTokens(null);
+    setContextUsage(null);
+  }
+
+  function onNewConversation() {
+    startConversation(null);
+  }
+
+  async function onSelectConversation(id) {
+    if (id === conversationId) return;
+    try {
+      const conversation = await getConversation(id);
+      if (conversation) startConversation(conversation);
+    } catch (e) {
+      console.error("Failed to open conversation:", e);
+    }
+  }
+
+  async function onRenameConversation(id, title) {
+    await renameConversation(id, title).catch((e) =>
+      console.error("Failed to rename conversation:", e),
+    );
+    refreshConversations();
+  }
+
+  async function onDeleteConversation(id) {
+    await deleteConversation(id).catch((e) =>
+      console.error("Failed to delete conversation:", e),
+    );
+    shutdownKernel(id);
+    worker.current.postMessage({ type: "reset", data: { slot: id } });
+    deleteDocuments(id).catch((e) =>
+      console.error("Failed to delete documents:", e),
+    );
+    if (id === conversationId) onNewConversation();
+    refreshConversations();
+  }
+
+  function onExport(format) {
+    const title =
+      conversations.find((x) => x.id === conversationId)?.title ??
+      deriveTitle(messages);
+    const conversation = {
+      title,
+      tree,
+      settings,
+      systemPrompt,
+      modelId,
+      dtype,
+    };
+    if (format === "json") {
+      downloadFile(
+        `${toFilename(title)}.json`,
+        toJSON(conversation),
+        "application/json",
+      );
+    } else {
+      downloadFile(
+        `${toFilename(title)}.md`,
+        toMarkdown(conversation, {
+          includeReasoning: format === "markdown-reasoning",
+        }),
+        "text/markdown",
+      );
+    }
+  }
+
+  async function onImport(file) {
+    try {
+      const transcript = parseTranscript(await file.text());
+      const conversation = {
+        ...createConversation(transcript.tree),
+        settings: transcript.settings ?? settings,
+        systemPrompt: transcript.systemPrompt,
+      };
+      if (transcript.title) conversation.title = transcript.title;
+      await saveConversation(conversation);
+      refreshConversations();
+      startConversation(conversation);
+    } catch (e) {
+      alert(`Unable to import conversation: ${e.message}`);
+    }
+  }
+
+  function onSystemPromptChange(prompt) {
+    setSystemPromptOpen(false);
+    if (prompt === systemPrompt) return;
+    // The cached key/values were computed with the previous system prompt.
+    worker.current.postMessage({
+      type: "reset",
+      data: { slot: conversationId ?? "default" },
+    });
+    setSystemPrompt(prompt);
+  }
+
+  function onModelChange(id, newDtype) {
+    setModelId(id);
+    setSelectedDtype(newDtype);
+    localStorage.setItem(MODEL_STORAGE_KEY, id);
+
+    if (status === "ready") {
+      // Dispose the current model and load the new one right away.
+      const newModel = getModel(id);
+      worker.current.postMessage({
+        type: "switch_model",
+        data: {
+          model_id: id,
+          dtype: newDtype ?? getDefaultDtype(newModel, backend.device),
+        },
+      });
+      setProgressItems([]);
+      setStatus("loading");
+      setTps(null);
+    }
+  }
+
+  async function onAttach(files) {
+    // Documents belong to a conversation, so a new chat gets its id now.
+    let id = conversationId;
+    if (id === null) {
+      id = crypto.randomUUID();
+      setConversationId(id);
+    }
+    for (const file of files) {
+      const item = { name: file.name, progress: 0 };
+      setIndexing((prev) => [...prev, item]);
+      try {
+        await addDocument(id, file, {
+          onProgress: (progress) =>
+            setIndexing((prev) =>
+              prev.map((x) => (x.name === file.name ? { ...x, progress } : x)),
+            ),
+        });
+      } catch (e) {
+        alert(`Unable to attach ${file.name}: ${e.message}`);
+      }
+      setIndexing((prev) => prev.filter((x) => x.name !== file.name));
+    }
+    setDocuments(await listDocuments(id));
+  }
+
+  async function onRemoveDocument(id) {
+    await deleteDocument(id).catch((e) =>
+      console.error("Failed to delete document:", e),
+    );
+    setDocuments((prev) => prev.filter((x) => x.id !== id));
+  }
 
   function onEnter(message) {
-    setMessages((prev) => [...prev, { role: "user", content: message }]);
+    setTree((prev) => appendMessage(prev, { role: "user", content: message }));
     setTps(null);
     setIsRunning(true);
     setInput("");
   }
 
+  function onEditMessage(id, content) {
+    if (isRunning) return;
+    // The edited turn becomes a new branch next to the original one. The
+    // worker only reuses the cached key/values of the unchanged prefix.
+    setTree((prev) =>
+      addChild(prev, prev.nodes[id].parent, { role: "user", content }),
+    );
+    setTps(null);
+    setIsRunning(true);
+  }
+
+  // End the active branch at question `id`; the new answer is added as a
+  // sibling of the current one when generation starts.
+  function rewind(id) {
+    rewound.current = { id, active: tree.nodes[id].active };
+    setTree((prev) => rewindTo(prev, id));
+  }
+
+  // Show the rewound answer again, as no new answer was started.
+  function restoreRewound() {
+    const previous = rewound.current;
+    rewound.current = null;
+    if (previous) {
+      setTree((prev) => setActive(prev, previous.id, previous.active));
+    }
+  }
+
+  function onRegenerate(id) {
+    if (isRunning) return;
+    rewind(tree.nodes[id].parent);
+    setTps(null);
+    setIsRunning(true);
+  }
+
+  function onContinue() {
+    if (isRunning) return;
+    // The worker appends to the last answer, which hit the length limit.
+    continuing.current = true;
+    setTps(null);
+    setIsRunning(true);
+  }
+
+  function onSelectBranch(id, offset) {
+    if (isRunning) return;
+    setTree((prev) => selectSibling(prev, id, offset));
+    setTps(null);
+  }
+
   function onInterrupt() {
+    interrupted.current = true;
+    if (execution.current) {
+      // Stop the automatic execution of the last answer's code.
+      execution.current.abort();
+      return;
+    }
     // NOTE: We do not set isRunning to false here because the worker
-    // will send a 'complete' message when it is done.
-    worker.current.postMessage({ type: "interrupt" });
+    // will send a 'complete' (or 'cancelled') message when it is done.
+    worker.current.postMessage({
+      type: "cancel",
+      data: { id: request.current },
+    });
+  }
+
+  function onRetry() {
+    const { phase } = error;
+    setError(null);
+    if (phase === "generate") {
+      // Generate again, without the partial answer (if any)
+      const last = messages.at(-1);
+      if (last?.role === "assistant") rewind(tree.nodes[last.id].parent);
+      setTps(null);
+      setIsRunning(true);
+    } else {
+      loadModel();
+    }
+  }
+
+  function loadModel() {
+    worker.current.postMessage({
+      type: "load",
+      data: { model_id: modelId, dtype },
+    });
+    setProgressItems([]);
+    setStatus("loading");
+  }
+
+  function onSendOutput(observation) {
+    setTree((prev) =>
+      appendMessage(prev, { role: "tool", content: observation }),
+    );
+    setTps(null);
+    setIsRunning(true);
   }
 
   useEffect(() => {
@@ -68,12 +452,40 @@ function App() {
       worker.current = new Worker(new URL("./worker.js", import.meta.url), {
         type: "module",
       });
+      worker.current.postMessage({
+        type: "hello",
+        data: { version: PROTOCOL_VERSION },
+      });
       worker.current.postMessage({ type: "check" }); // Do a feature check
     }
 
     // Create a callback function for messages from the worker thread.
     const onMessageReceived = (e) => {
+      const invalid = validateEvent(e.data);
+      if (invalid) {
+        console.warn(`Invalid worker message: ${invalid}`, e.data);
+        return;
+      }
+      // Generations requested by the API client (see openai.js) are not part
+      // of the chat.
+      if (e.data.id !== undefined && e.data.id !== request.current) return;
+
       switch (e.data.status) {
+        case "hello":
+          if (e.data.version !== PROTOCOL_VERSION) {
+            setError({
+              phase: "protocol",
+              message: `The model worker speaks version ${e.data.version} of the protocol instead of ${PROTOCOL_VERSION}. Reload the page to update it.`,
+              recoverable: false,
+            });
+          }
+          break;
+
+        case "backend":
+          // Feature check result: which device/dtype the model will run on.
+          setBackend(e.data.data);
+          break;
+
         case "loading":
           // Model file start load: add a new progress item to the list.
           setStatus("loading");
@@ -108,53 +520,111 @@ function App() {
           setStatus("ready");
           break;
 
+        case "cancelled":
+          // Cancelled while waiting for other requests
+          interrupted.current = false;
+          setIsRunning(false);
+          restoreRewound();
+          break;
+
+        case "summarizing":
+          // The "summarize" context strategy is condensing older turns.
+          setContextUsage((prev) => ({ ...prev, summarizing: true }));
+          break;
+
+        case "context": {
+          // Prompt size after fitting the history into the context window.
+          const { promptTokens, contextLength, truncation } = e.data;
+          setContextUsage({ promptTokens, contextLength, truncation });
+          break;
+        }
+
         case "start":
+          if (e.data.continued) break; // New text goes to the last answer
+          rewound.current = null;
           {
             // Start generation
-            setMessages((prev) => [
-              ...prev,
-              { role: "assistant", content: "" },
-            ]);
+            const message = { role: "assistant", content: "", reasoning: "" };
+            if (e.data.format === "json") message.format = "json";
+            if (sources.current.length > 0) message.sources = sources.current;
+            setTree((prev) => appendMessage(prev, message));
           }
           break;
 
         case "update":
           {
-            // Generation update: update the output text.
-            // Parse messages
-            const { output, tps, numTokens, state } = e.data;
+            // Generation update: append the new reasoning and answer text.
+            const { thinking, answer, answerReset, tps, numTokens, state } =
+              e.data;
             setTps(tps);
             setNumTokens(numTokens);
-            setMessages((prev) => {
-              const cloned = [...prev];
-              const last = cloned.at(-1);
-              const data = {
-                ...last,
-                content: last.content + output,
-              };
-              if (data.answerIndex === undefined && state === "answering") {
-                // When state changes to answering, we set the answerIndex
-                data.answerIndex = last.content.length;
-              }
-              cloned[cloned.length - 1] = data;
-              return cloned;
-            });
+            setTree((prev) =>
+              updateLast(prev, (last) => ({
+                reasoning: last.reasoning + thinking,
+                // Text streamed as answer may turn out to be reasoning
+                content: (answerReset ? "" : last.content) + answer,
+                state,
+              })),
+            );
           }
           break;
 
+        case "tool_call":
+          // The model called a tool: it is run once generation completes.
+          setTree((prev) =>
+            updateLast(prev, (last) => ({
+              tool_calls: [...(last.tool_calls ?? []), e.data.call],
+            })),
+          );
+          break;
+
         case "complete":
           // Generation complete: re-enable the "Generate" button
+          setTree((prev) =>
+            updateLast(prev, () => ({
+              reasoning: e.data.reasoning,
+              content: e.data.answer,
+              state: undefined,
+              finish_reason: e.data.finish_reason,
+            })),
+          );
           setIsRunning(false);
+          setCompletions((prev) => prev + 1);
           break;
 
-        case "error":
-          setError(e.data.data);
+        case "error": {
+          const { phase, message, recoverable } = e.data;
+          setError({ phase, message, recoverable });
+          if (phase === "load" || phase === "warmup") {
+            // Back to the start screen, from which loading can be retried
+            setStatus(null);
+            setProgressItems([]);
+          } else if (phase === "generate" || e.data.id !== undefined) {
+            // The chat's generation failed (e.g. a rejected request)
+            interrupted.current = false;
+            setIsRunning(false);
+            restoreRewound();
+            setTree((prev) =>
+              updateLast(prev, (last) =>
+                last.role === "assistant" ? { state: undefined } : {},
+              ),
+            );
+          }
           break;
+        }
       }
     };
 
+    // Errors that the worker could not report itself
     const onErrorReceived = (e) => {
       console.error("Worker error:", e);
+      setError({
+        phase: "worker",
+        message: e.message ?? "The model worker stopped unexpectedly.",
+        recoverable: false,
+      });
+      setIsRunning(false);
+      restoreRewound();
     };
 
     // Attach the callback function as an event listener.
@@ -168,23 +638,209 @@ function App() {
     };
   }, []);
 
+  // Serve the OpenAI-compatible API to other pages (see bridge.js).
+  useEffect(() => {
+    const client = createChatClient(worker.current, {
+      getModel: () => apiModel.current,
+    });
+    return serveBridge(client);
+  }, []);
+
+  useEffect(() => {
+    apiModel.current = status === "ready" ? modelId : null;
+  }, [status, modelId]);
+
+  useEffect(() => {
+    refreshConversations();
+  }, []);
+
+  useEffect(() => {
+    if (conversationId === null) {
+      setDocuments([]);
+      return;
+    }
+    let cancelled = false;
+    listDocuments(conversationId)
+      .then((documents) => !cancelled && setDocuments(documents))
+      .catch((e) => console.error("Failed to list documents:", e));
+    return () => {
+      cancelled = true;
+    };
+  }, [conversationId]);
+
+  // Persist the conversation once a turn is sent, once it completes (but
+  // not on every streamed token) and whenever its settings or system prompt
+  // change.
+  useEffect(() => {
+    if (messages.length === 0) return;
+    if (
+      tree === saved.current.tree &&
+      settings === saved.current.settings &&
+      systemPrompt === saved.current.systemPrompt
+    ) {
+      return;
+    }
+    if (isRunning && messages.at(-1).role === "assistant") return;
+
+    let id = conversationId;
+    if (id === null) {
+      id = crypto.randomUUID();
+      setConversationId(id);
+    }
+    saved.current = { tree, settings, systemPrompt };
+    updateConversation(id, { tree, settings, systemPrompt })
+      .then(refreshConversations)
+      .catch((e) => console.error("Failed to save conversation:", e));
+  }, [tree, messages, settings, systemPrompt, isRunning, conversationId]);
+
   // Send the messages to the worker thread whenever the `messages` state changes.
   useEffect(() => {
+    if (!isRunning) {
+      // Only generate for turns sent by the user (not restored history).
+      return;
+    }
     if (messages.filter((x) => x.role === "user").length === 0) {
       // No user messages yet: do nothing.
       return;
     }
-    if (messages.at(-1).role === "assistant") {
+    const continueMessage = continuing.current;
+    if (messages.at(-1).role === "assistant" && !continueMessage) {
       // Do not update if the last message is from the assistant
       return;
     }
     setTps(null);
-    worker.current.postMessage({
-      type: "generate",
-      data: { messages, reasonEnabled },
-    });
+
+    // Answer the latest question with the closest chunks of the attached
+    // documents, if any.
+    const last = messages.findLastIndex((x) => x.role === "user");
+    const question = messages[last].content;
+    let cancelled = false;
+    const retrieval =
+      documents.length > 0
+        ? retrieve(conversationId, question)
+        : Promise.resolve([]);
+    retrieval
+      .catch((e) => {
+        console.error("Failed to retrieve documents:", e);
+        return [];
+      })
+      .then((retrieved) => {
+        if (cancelled) return;
+        continuing.current = false;
+        if (interrupted.current) {
+          // Stopped before generation started
+          interrupted.current = false;
+          setIsRunning(false);
+          restoreRewound();
+          return;
+        }
+        sources.current = retrieved;
+        request.current = crypto.randomUUID();
+        worker.current.postMessage({
+          type: "generate",
+          data: {
+            id: request.current,
+            // Each conversation keeps its own key/value cache.
+            slot: conversationId ?? "default",
+            // Dropping earlier reasoning changes the prompt prefix; the worker
+            // then only reuses the matching part of its key/value cache.
+            messages: messages.map((x, i) => ({
+              role: x.role,
+              content:
+                i === last
+                  ? withSources(x.content, retrieved)
+                  : x.role === "assistant" && !settings.strip_reasoning
+                    ? withReasoning(x)
+                    : x.content,
+              // The answer to continue keeps its reasoning apart
+              ...(continueMessage && i === messages.length - 1
+                ? { content: x.content, reasoning: x.reasoning }
+                : {}),
+            })),
+            continueMessage,
+            reasonEnabled,
+            settings,
+            systemPrompt,
+            tools: settings.enable_tools && model.tools ? getToolSchemas() : [],
+          },
+        });
+      });
+    return () => {
+      cancelled = true;
+    };
   }, [messages, isRunning]);
 
+  // Answer the tool calls of a finished answer (at most MAX_TOOL_ROUNDS times
+  // per user message), or run its code and send the output back to the
+  // model (at most `max_execution_rounds` times).
+  useEffect(() => {
+    if (completions === handledCompletion.current) return;
+    handledCompletion.current = completions;
+    const stopped = interrupted.current;
+    interrupted.current = false;
+
+    const last = messages.at(-1);
+    if (stopped || last?.role !== "assistant") return;
+    const turn = messages.slice(messages.findLastIndex((x) => x.role === "user"));
+
+    let run;
+    if (last.tool_calls?.length > 0) {
+      const rounds = turn.filter((x) => x.tool_calls?.length > 0).length;
+      if (rounds > MAX_TOOL_ROUNDS) return;
+      run = async (signal) => {
+        const replies = [];
+        for (const call of last.tool_calls) {
+          const content = await callTool(call, { kernelId, signal });
+          replies.push({ role: "tool", name: call.name, content });
+          if (signal.aborted) break;
+        }
+        return replies;
+      };
+    } else {
+      if (!settings.auto_execute) return;
+      const rounds = turn.filter((x) => x.role === "tool" && x.auto).length;
+      const blocks = findCodeBlocks(last.content);
+      if (rounds >= settings.max_execution_rounds || blocks.length === 0) {
+        return;
+      }
+      run = async (signal) => {
+        const observations = [];
+        for (const { language, code } of blocks) {
+          const run = await runCell(kernelId, language, code, { signal });
+          observations.push(formatObservation(language, run));
+          if (run.error) break;
+        }
+        const content = observations.join("\n\n");
+        return [{ role: "tool", content, auto: true }];
+      };
+    }
+
+    const controller = new AbortController();
+    execution.current = controller;
+    setIsRunning(true);
+    run(controller.signal)
+      .then((replies) => {
+        execution.current = null;
+
+        if (controller.signal.aborted) {
+          interrupted.current = false;
+          setIsRunning(false);
+          return;
+        }
+        // Generation continues with the results as the last messages.
+        setTree((prev) =>
+          replies.reduce((tree, reply) => appendMessage(tree, reply), prev),
+        );
+        setTps(null);
+      })
+      .catch((e) => {
+        console.error("Execution failed:", e);
+        execution.current = null;
+        interrupted.current = false;
+        setIsRunning(false);
+      });
+  }, [completions, messages, settings, kernelId]);
+
   useEffect(() => {
     if (!chatContainerRef.current || !isRunning) return;
     const element = chatContainerRef.current;
@@ -196,7 +852,7 @@ function App() {
     }
   }, [messages, isRunning]);
 
-  return IS_WEBGPU_AVAILABLE ? (
+  return (
     <div className="flex flex-col h-screen gradient-bg relative overflow-hidden">
       {/* Floating particles background effect */}
       <div className="particles">
@@ -213,6 +869,46 @@ function App() {
         ))}
       </div>
 
+      {error && (
+        <ErrorBanner
+          error={error}
+          onRetry={onRetry}
+          onDismiss={() => setError(null)}
+        />
+      )}
+
+      {status === "ready" && (
+        <>
+          <button
+            className="fixed left-4 top-4 z-20 glass rounded-xl px-3 py-2 text-white/80 hover:text-white cursor-pointer transition-all duration-300"
+            onClick={() => setSidebarOpen(true)}
+            title="Show conversations"
+          >
+            ☰
+          </button>
+          <ModelPicker
+            className="fixed right-4 top-4 z-20 glass rounded-xl p-1"
+            modelId={modelId}
+            dtype={dtype}
+            device={backend?.device}
+            disabled={isRunning}
+            onChange={onModelChange}
+          />
+          <Sidebar
+            open={sidebarOpen}
+            conversations={conversations}
+            activeId={conversationId}
+            disabled={isRunning}
+            onClose={() => setSidebarOpen(false)}
+            onNew={onNewConversation}
+            onSelect={onSelectConversation}
+            onRename={onRenameConversation}
+            onDelete={onDeleteConversation}
+            onImport={onImport}
+          />
+        </>
+      )}
+
       {status === null && messages.length === 0 && (
         <div className="h-full overflow-auto scrollbar-thin flex justify-center items-center flex-col relative z-10">
           <div className="flex flex-col items-center mb-8 max-w-5xl text-center px-6">
@@ -237,9 +933,18 @@ function App() {
               <h2 className="text-2xl md:text-3xl font-light text-white/90 mb-4 leading-relaxed max-w-4xl">
                 Your personal AI assistant that runs entirely in your browser with
                 <span className="text-gradient font-semibold block mt-2">
-                  ⚡ WebGPU Acceleration
+                  {backend?.device === "wasm"
+                    ? "💻 CPU Inference (WASM)"
+                    : "⚡ WebGPU Acceleration"}
                 </span>
               </h2>
+              {backend?.device === "wasm" && (
+                <p className="text-white/60 text-base max-w-2xl mx-auto">
+                  WebGPU is not available in this browser, so the model will
+                  run on your CPU with {dtype} weights. Expect slower
+                  responses.
+                </p>
+              )}
             </div>
 
             {/* Description */}
@@ -247,14 +952,14 @@ function App() {
               <p className="text-xl md:text-2xl leading-relaxed text-white/80 mb-8 font-light">
                 Experience the future of private AI conversations. Load{" "}
                 <a
-                  href="https://huggingface.co/onnx-community/Qwen3-0.6B-ONNX"
+                  href={`https://huggingface.co/${model.id}`}
                   target="_blank"
                   rel="noreferrer"
                   className="text-gradient font-semibold hover:underline transition-all duration-300 text-2xl"
                 >
-                  Qwen3-0.6B
+                  {model.name}
                 </a>
-                , a cutting-edge 0.6B parameter reasoning model optimized for blazing-fast in-browser inference.
+                , {model.description} optimized for blazing-fast in-browser inference.
               </p>
 
               {/* Feature Grid */}
@@ -267,7 +972,7 @@ function App() {
                 <div className="modern-card rounded-2xl p-6 group hover:scale-105 transition-all duration-300">
                   <div className="text-4xl mb-4 group-hover:scale-110 transition-transform duration-300">⚡</div>
                   <h3 className="font-bold text-xl text-white mb-3">Lightning Fast</h3>
-                  <p className="text-white/70 leading-relaxed">Hardware-accelerated inference with WebGPU for instant responses.</p>
+                  <p className="text-white/70 leading-relaxed">Hardware-accelerated inference with WebGPU, with a CPU fallback everywhere else.</p>
                 </div>
                 <div className="modern-card rounded-2xl p-6 group hover:scale-105 transition-all duration-300">
                   <div className="text-4xl mb-4 group-hover:scale-110 transition-transform duration-300">🌐</div>
@@ -289,33 +994,30 @@ function App() {
                   </div>
                   <div className="flex items-center gap-2">
                     <span className="w-2 h-2 bg-green-400 rounded-full"></span>
-                    WebGPU Optimized
+                    {backend ? `${BACKEND_LABELS[backend.device]} Backend` : "WebGPU Optimized"}
                   </div>
                 </div>
               </div>
             </div>
 
-            {/* Error Display */}
-            {error && (
-              <div className="glass-card rounded-3xl p-8 mb-8 border-red-500/30 bg-red-500/10 text-center max-w-2xl">
-                <div className="text-4xl mb-4">⚠️</div>
-                <h3 className="text-xl font-semibold mb-4 text-red-400">
-                  Unable to Load Model
-                </h3>
-                <p className="text-red-300 leading-relaxed">{error}</p>
-              </div>
-            )}
-
             {/* Call to Action */}
             <div className="flex flex-col items-center">
+              <ModelPicker
+                className="mb-6"
+                modelId={modelId}
+                dtype={dtype}
+                device={backend?.device}
+                disabled={status !== null}
+                onChange={onModelChange}
+              />
 
               <button
                 className="group relative btn-premium px-12 py-6 rounded-3xl font-bold text-2xl transition-all duration-500 disabled:opacity-50 disabled:cursor-not-allowed select-none glow-blue hover:glow-purple transform hover:scale-110 active:scale-95"
                 onClick={() => {
-                  worker.current.postMessage({ type: "load" });
-                  setStatus("loading");
+                  setError(null);
+                  loadModel();
                 }}
-                disabled={status !== null || error !== null}
+                disabled={status !== null || error?.recoverable === false}
               >
                 <div className="flex items-center gap-4">
                   <span className="text-3xl group-hover:rotate-12 transition-transform duration-300">🚀</span>
@@ -366,7 +1068,39 @@ function App() {
           className="overflow-y-auto scrollbar-thin w-full flex flex-col items-center h-full relative z-10 px-4"
         >
           <div className="w-full max-w-4xl">
-            <Chat messages={messages} />
+            {/* System prompt header */}
+            <div className="sticky top-0 z-10 pt-4 flex items-center gap-2">
+              <button
+                className="glass rounded-xl px-4 py-2 flex-1 min-w-0 flex items-center gap-3 text-left text-sm cursor-pointer hover:bg-slate-700/50 transition-all duration-300 disabled:cursor-not-allowed"
+                onClick={() => setSystemPromptOpen(true)}
+                disabled={isRunning}
+                title="Edit system prompt"
+              >
+                <span className="text-purple-400 font-medium shrink-0">
+                  System
+                </span>
+                <span
+                  className={`flex-1 min-w-0 truncate ${systemPrompt ? "text-white/80" : "text-white/40 italic"}`}
+                >
+                  {systemPrompt || "No system prompt"}
+                </span>
+                <span className="text-gray-400">✏️</span>
+              </button>
+              <ExportMenu
+                disabled={isRunning || messages.length === 0}
+                onExport={onExport}
+              />
+            </div>
+            <Chat
+              messages={messages}
+              kernelId={kernelId}
+              isRunning={isRunning}
+              onEdit={onEditMessage}
+              onRegenerate={onRegenerate}
+              onContinue={onContinue}
+              onSelectBranch={onSelectBranch}
+              onSendOutput={onSendOutput}
+            />
             {messages.length === 0 && (
               <div className="my-8">
                 <h3 className="text-xl font-semibold text-center mb-6 text-gradient">
@@ -386,71 +1120,169 @@ function App() {
               </div>
             )}
 
-            {tps && messages.length > 0 && (
-              <div className="text-center py-4">
-                <div className="glass rounded-xl px-4 py-2 inline-block">
-                  {!isRunning && (
-                    <span className="text-secondary text-sm">
-                      Generated {numTokens} tokens in{" "}
-                      {(numTokens / tps).toFixed(2)} seconds (
+            {(tps || contextUsage) && messages.length > 0 && (
+              <div className="flex flex-wrap justify-center items-center gap-3 py-4">
+                {tps && (
+                  <div className="glass rounded-xl px-4 py-2 inline-block">
+                    {!isRunning && (
+                      <span className="text-secondary text-sm">
+                        Generated {numTokens} tokens in{" "}
+                        {(numTokens / tps).toFixed(2)} seconds (
+                      </span>
+                    )}
+                    <span className="font-semibold text-gradient mr-1">
+                      {tps.toFixed(2)}
                     </span>
-                  )}
-                  <span className="font-semibold text-gradient mr-1">
-                    {tps.toFixed(2)}
-                  </span>
-                  <span className="text-secondary text-sm">tokens/second</span>
-                  {!isRunning && (
-                    <>
-                      <span className="text-secondary text-sm">). </span>
-                      <button
-                        className="text-gradient hover:underline cursor-pointer text-sm font-medium"
-                        onClick={() => {
-                          worker.current.postMessage({ type: "reset" });
-                          setMessages([]);
-                        }}
-                      >
-                        Reset Chat
-                      </button>
-                    </>
-                  )}
-                </div>
+                    <span className="text-secondary text-sm">tokens/second</span>
+                    {backend && (
+                      <span className="text-secondary text-sm">
+                        {" "}on {BACKEND_LABELS[backend.device]}
+                      </span>
+                    )}
+                    {!isRunning && (
+                      <>
+                        <span className="text-secondary text-sm">). </span>
+                        <button
+                          className="text-gradient hover:underline cursor-pointer text-sm font-medium"
+                          onClick={onNewConversation}
+                        >
+                          New Chat
+                        </button>
+                      </>
+                    )}
+                  </div>
+                )}
+                {contextUsage && <ContextMeter {...contextUsage} />}
               </div>
             )}
           </div>
         </div>
       )}
 
+      {systemPromptOpen && (
+        <SystemPromptEditor
+          systemPrompt={systemPrompt}
+          onSave={onSystemPromptChange}
+          onClose={() => setSystemPromptOpen(false)}
+        />
+      )}
+
+      {settingsOpen && (
+        <SettingsPanel
+          settings={settings}
+          onChange={setSettings}
+          onClose={() => setSettingsOpen(false)}
+        />
+      )}
+
+      {storageOpen && (
+        <StoragePanel
+          modelId={modelId}
+          dtype={dtype}
+          device={backend?.device}
+          loadedModelId={status === "ready" ? modelId : null}
+          onClose={() => setStorageOpen(false)}
+        />
+      )}
+
       {/* Enhanced Input Area */}
       <div className="w-full max-w-4xl mx-auto p-4 relative z-10">
         <div className="glass-card rounded-2xl overflow-hidden">
+          {(documents.length > 0 || indexing.length > 0) && (
+            <div className="flex flex-wrap gap-2 px-4 pt-3">
+              {documents.map((attachment) => (
+                <span
+                  key={attachment.id}
+                  className="inline-flex items-center gap-1.5 rounded-lg bg-slate-700/50 px-2 py-1 text-xs text-gray-300"
+                  title={`${attachment.chunks} chunks`}
+                >
+                  📄 {attachment.name}
+                  <button
+                    className="text-gray-400 hover:text-white cursor-pointer disabled:cursor-not-allowed"
+                    onClick={() => onRemoveDocument(attachment.id)}
+                    disabled={isRunning}
+                    title="Remove document"
+                  >
+                    ✕
+                  </button>
+                </span>
+              ))}
+              {indexing.map(({ name, progress }) => (
+                <span
+                  key={name}
+                  className="inline-flex items-center gap-1.5 rounded-lg bg-slate-700/30 px-2 py-1 text-xs text-gray-400 typing-pulse"
+                >
+                  📄 {name} · indexing {Math.round(progress * 100)}%
+                </span>
+              ))}
+            </div>
+          )}
           <div className="relative flex items-end gap-3">
             {/* Compact Reasoning Toggle - Left side of textarea */}
             <div className="flex flex-col items-center gap-2 pb-4">
               <button
                 className={`inline-flex items-center px-2 py-1 gap-1.5 rounded-lg text-xs font-medium transition-all duration-300 ${
-                  reasonEnabled
+                  reasoning
                     ? "bg-gradient-to-r from-blue-500 to-purple-600 text-white"
                     : "bg-gray-700/50 text-gray-400 hover:bg-gray-600/50 hover:text-white"
-                }`}
+                } disabled:opacity-50 disabled:cursor-not-allowed`}
                 onClick={() => setReasonEnabled((prev) => !prev)}
+                disabled={!model.thinking}
+                title={
+                  model.thinking
+                    ? "Toggle reasoning"
+                    : `${model.name} does not support reasoning`
+                }
               >
                 <LightBulbIcon className="h-3 w-3" />
                 <span className="text-xs">Reasoning</span>
                 <div className={`flex items-center gap-1 px-1.5 py-0.5 rounded-full text-xs ${
-                  reasonEnabled
+                  reasoning
                     ? "bg-white/20 text-white"
                     : "bg-gray-600/50 text-gray-400"
                 }`}>
                   <div className={`w-1 h-1 rounded-full transition-all duration-300 ${
-                    reasonEnabled ? "bg-green-400" : "bg-gray-500"
+                    reasoning ? "bg-green-400" : "bg-gray-500"
                   }`}></div>
-                  <span className="text-xs">{reasonEnabled ? "ON" : "OFF"}</span>
+                  <span className="text-xs">{reasoning ? "ON" : "OFF"}</span>
                 </div>
               </button>
 
-              <div className="text-xs text-white/40 text-center leading-tight max-w-16">
+              <button
+                className="inline-flex items-center px-2 py-1 gap-1.5 rounded-lg text-xs font-medium transition-all duration-300 bg-gray-700/50 text-gray-400 hover:bg-gray-600/50 hover:text-white cursor-pointer"
+                onClick={() => setSettingsOpen(true)}
+                title="Generation settings"
+              >
+                ⚙️ <span className="text-xs">Settings</span>
+              </button>
 
-              </div>
+              <button
+                className="inline-flex items-center px-2 py-1 gap-1.5 rounded-lg text-xs font-medium transition-all duration-300 bg-gray-700/50 text-gray-400 hover:bg-gray-600/50 hover:text-white cursor-pointer"
+                onClick={() => setStorageOpen(true)}
+                title="Downloaded models"
+              >
+                💾 <span className="text-xs">Storage</span>
+              </button>
+
+              <button
+                className="inline-flex items-center px-2 py-1 gap-1.5 rounded-lg text-xs font-medium transition-all duration-300 bg-gray-700/50 text-gray-400 hover:bg-gray-600/50 hover:text-white cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+                onClick={() => fileInputRef.current.click()}
+                disabled={status !== "ready" || isRunning}
+                title="Attach text, Markdown or PDF files to answer from"
+              >
+                📎 <span className="text-xs">Files</span>
+              </button>
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept={DOCUMENT_TYPES}
+                multiple
+                className="hidden"
+                onChange={(e) => {
+                  onAttach([...e.target.files]);
+                  e.target.value = "";
+                }}
+              />
             </div>
 
             <textarea
@@ -502,17 +1334,6 @@ function App() {
         </div>
       </div>
     </div>
-  ) : (
-    <div className="flex justify-center items-center h-screen gradient-bg">
-      <div className="glass-card rounded-2xl p-8 max-w-md text-center">
-        <h1 className="text-2xl font-bold mb-4 text-gradient">
-          WebGPU Not Supported
-        </h1>
-        <p className="text-secondary">
-          Private Talk requires WebGPU support. Please use a modern browser with WebGPU enabled.
-        </p>
-      </div>
-    </div>
   );
 }
 
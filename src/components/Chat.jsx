@@ -6,6 +6,10 @@ import BotIcon from "./icons/BotIcon";
 import BrainIcon from "./icons/BrainIcon";
 import UserIcon from "./icons/UserIcon";
 import CodeBlock from "./CodeBlock";
+import JsonTree from "./JsonTree";
+import { sourceLabel } from "../lib/documents";
+import { KernelContext } from "../lib/kernels";
+import { splitToolCalls } from "../lib/tool-calls";
 
 import { MathJaxContext, MathJax } from "better-react-mathjax";
 import "./Chat.css";
@@ -125,18 +129,190 @@ function renderStreamingContent(text) {
   return parts;
 }
 
-function Message({ role, content, answerIndex }) {
-  const thinking =
-    answerIndex !== undefined ? content.slice(0, answerIndex) : content;
-  const answer = answerIndex !== undefined ? content.slice(answerIndex) : "";
+function BranchNavigator({ branch, disabled, onSelect }) {
+  if (!branch || branch.count < 2) return null;
+  return (
+    <div className="flex items-center gap-1 text-xs text-gray-400 select-none">
+      <button
+        className="px-1 hover:text-white cursor-pointer disabled:opacity-30 disabled:cursor-not-allowed"
+        onClick={() => onSelect(-1)}
+        disabled={disabled || branch.index === 0}
+        title="Previous version"
+      >
+        &lt;
+      </button>
+      <span>
+        {branch.index + 1}/{branch.count}
+      </span>
+      <button
+        className="px-1 hover:text-white cursor-pointer disabled:opacity-30 disabled:cursor-not-allowed"
+        onClick={() => onSelect(1)}
+        disabled={disabled || branch.index === branch.count - 1}
+        title="Next version"
+      >
+        &gt;
+      </button>
+    </div>
+  );
+}
+
+/**
+ * A tool call in an answer, shown while it streams in.
+ */
+function ToolCallCard({ name, arguments: args, error, pending, raw }) {
+  return (
+    <div className="modern-card rounded-xl p-4 my-3 not-prose">
+      <div className="flex items-center gap-2 text-sm text-white font-medium">
+        <span>🔧</span>
+        {pending ? (
+          <span className="typing-pulse">Calling a tool...</span>
+        ) : error ? (
+          <span className="text-red-300">{error}</span>
+        ) : (
+          <span>
+            Called <code className="text-blue-300">{name}</code>
+          </span>
+        )}
+      </div>
+      {(raw || args) && (
+        <pre className="mt-2 text-xs text-gray-300 whitespace-pre-wrap overflow-wrap-anywhere">
+          {pending || error ? raw : JSON.stringify(args, null, 2)}
+        </pre>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Output of a code block or result of a tool call (`name`), sent back to the
+ * model as a "tool" message.
+ */
+function ToolMessage({ content, name, auto }) {
+  const [expanded, setExpanded] = useState(true);
 
+  return (
+    <div className="flex items-start space-x-4">
+      <div className="flex-shrink-0">
+        <div className="w-10 h-10 rounded-xl bg-gradient-to-br from-emerald-500 to-teal-600 flex items-center justify-center text-lg">
+          {name ? "🔧" : "🧪"}
+        </div>
+      </div>
+      <div className="modern-card rounded-xl flex-1 min-w-0">
+        <button
+          className="flex items-center gap-3 cursor-pointer p-4 hover:bg-slate-700/50 rounded-xl w-full text-left transition-all duration-300"
+          onClick={() => setExpanded((prev) => !prev)}
+        >
+          <span className="text-white font-medium">
+            {name ? (
+              <>
+                Result of <code className="text-blue-300">{name}</code>
+              </>
+            ) : auto ? (
+              "Code output (sent automatically)"
+            ) : (
+              "Code output"
+            )}
+          </span>
+          <span className="ml-auto text-blue-400 text-lg">
+            {expanded ? "▲" : "▼"}
+          </span>
+        </button>
+        {expanded && (
+          <div className="border-t border-slate-600/50 px-4 pb-4 pt-2">
+            <div
+              className="markdown text-gray-300 prose prose-invert max-w-none overflow-wrap-anywhere"
+              dangerouslySetInnerHTML={{ __html: render(content) }}
+            />
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Chunks of the attached documents that were given to the model for an
+ * answer, in the order it cites them ([1], [2], ...).
+ */
+function Sources({ sources }) {
+  const [selected, setSelected] = useState(null);
+
+  return (
+    <div className="mt-4 pt-3 border-t border-slate-600/50 text-sm">
+      <div className="text-gray-400 mb-2">Sources</div>
+      <div className="flex flex-wrap gap-2">
+        {sources.map((source, i) => (
+          <button
+            key={i}
+            className={`rounded-lg px-2 py-1 text-xs cursor-pointer transition-all duration-300 ${
+              selected === i
+                ? "bg-gradient-to-r from-blue-500 to-purple-600 text-white"
+                : "bg-slate-700/50 text-gray-300 hover:bg-slate-600/50"
+            }`}
+            onClick={() => setSelected((prev) => (prev === i ? null : i))}
+            title={`Similarity ${source.score.toFixed(2)}`}
+          >
+            [{i + 1}] {sourceLabel(source)}
+          </button>
+        ))}
+      </div>
+      {selected !== null && (
+        <blockquote className="mt-3 border-l-2 border-blue-400 pl-3 text-gray-300 whitespace-pre-wrap overflow-wrap-anywhere">
+          {sources[selected].text}
+        </blockquote>
+      )}
+    </div>
+  );
+}
+
+/**
+ * An answer generated in JSON mode: a tree once it parses, the raw text while
+ * it streams (or if the generation was stopped).
+ */
+function JsonAnswer({ text }) {
+  let value;
+  try {
+    value = JSON.parse(text);
+  } catch {
+    return (
+      <pre className="json-tree whitespace-pre-wrap overflow-wrap-anywhere">
+        {text}
+      </pre>
+    );
+  }
+  return <JsonTree value={value} />;
+}
+
+function Message({
+  role,
+  content,
+  name,
+  auto,
+  format,
+  sources,
+  reasoning = "",
+  state,
+  finish_reason,
+  branch,
+  editable,
+  onEdit,
+  onRegenerate,
+  onContinue,
+  onSelectBranch,
+}) {
   const [showThinking, setShowThinking] = useState(false);
+  const [isEditing, setIsEditing] = useState(false);
+  const [editedContent, setEditedContent] = useState(content);
 
-  const doneThinking = answerIndex === 0 || answer.length > 0;
+  // The worker streams the reasoning and the answer separately; `state` is
+  // only set while the answer is being generated.
+  const doneThinking = state !== "thinking";
 
   return (
     <div className="chat-bubble mb-6 max-w-4xl mx-auto">
-      {role === "assistant" ? (
+      {role === "tool" ? (
+        <ToolMessage content={content} name={name} auto={auto} />
+      ) : role === "assistant" ? (
         <div className="flex items-start space-x-4">
           <div className="flex-shrink-0">
             <div className="w-10 h-10 rounded-xl bg-gradient-to-br from-blue-500 to-purple-600 flex items-center justify-center glow-blue">
@@ -145,9 +321,9 @@ function Message({ role, content, answerIndex }) {
           </div>
           <div className="ai-message glass-card rounded-2xl p-6 flex-1">
             <div className="min-h-6 text-white overflow-wrap-anywhere">
-              {answerIndex === 0 || thinking.length > 0 ? (
+              {reasoning.length > 0 || content.length > 0 || state === "answering" ? (
                 <>
-                  {thinking.length > 0 && (
+                  {reasoning.length > 0 && (
                     <div className="modern-card rounded-xl mb-4">
                       <button
                         className="flex items-center gap-3 cursor-pointer p-4 hover:bg-slate-700/50 rounded-xl w-full text-left transition-all duration-300"
@@ -167,7 +343,7 @@ function Message({ role, content, answerIndex }) {
                         <div className="border-t border-slate-600/50 mt-2 pt-4 px-4 pb-4">
                           <MathJax dynamic>
                             <div className="markdown text-gray-300 prose prose-invert max-w-none">
-                              {renderWithCodeBlocks(thinking).map((part, index) => (
+                              {renderWithCodeBlocks(reasoning).map((part, index) => (
                                 <div key={index}>
                                   {part.type === 'code' ? (
                                     <CodeBlock
@@ -185,30 +361,52 @@ function Message({ role, content, answerIndex }) {
                       )}
                     </div>
                   )}
-                  {doneThinking && (
+                  {doneThinking && format === "json" && (
+                    <JsonAnswer text={content} />
+                  )}
+                  {doneThinking && format !== "json" && (
                     <MathJax dynamic>
                       <div className="markdown text-white prose prose-invert max-w-none">
-                        {renderStreamingContent(answer).map((part, index) => (
-                          <div key={index}>
-                            {part.type === 'code' ? (
-                              <CodeBlock
-                                code={part.content}
-                                language={part.language}
-                              />
-                            ) : part.type === 'streaming-code' ? (
-                              <CodeBlock
-                                code={part.content}
-                                language={part.language}
-                                isStreaming={true}
-                              />
-                            ) : (
-                              <div dangerouslySetInnerHTML={{ __html: part.content }} />
-                            )}
-                          </div>
-                        ))}
+                        {splitToolCalls(content).flatMap((segment, i) =>
+                          segment.type === 'tool_call' ? (
+                            <ToolCallCard key={i} {...segment} />
+                          ) : (
+                            renderStreamingContent(segment.content).map((part, index) => (
+                              <div key={`${i}-${index}`}>
+                                {part.type === 'code' ? (
+                                  <CodeBlock
+                                    code={part.content}
+                                    language={part.language}
+                                  />
+                                ) : part.type === 'streaming-code' ? (
+                                  <CodeBlock
+                                    code={part.content}
+                                    language={part.language}
+                                    isStreaming={true}
+                                  />
+                                ) : (
+                                  <div dangerouslySetInnerHTML={{ __html: part.content }} />
+                                )}
+                              </div>
+                            ))
+                          ),
+                        )}
                       </div>
                     </MathJax>
                   )}
+                  {doneThinking && sources?.length > 0 && (
+                    <Sources sources={sources} />
+                  )}
+                  {finish_reason === "interrupted" && (
+                    <div className="text-xs text-yellow-300 mt-3">
+                      ⏹ Stopped
+                    </div>
+                  )}
+                  {finish_reason === "length" && (
+                    <div className="text-xs text-yellow-300 mt-3">
+                      ✂️ Cut off at the maximum length
+                    </div>
+                  )}
                 </>
               ) : (
                 <div className="flex items-center gap-2">
@@ -221,13 +419,93 @@ function Message({ role, content, answerIndex }) {
                 </div>
               )}
             </div>
+            {(editable || branch?.count > 1) && (
+              <div className="flex items-center gap-3 mt-4 pt-3 border-t border-slate-600/30">
+                <BranchNavigator
+                  branch={branch}
+                  disabled={!editable}
+                  onSelect={onSelectBranch}
+                />
+                {editable && (
+                  <button
+                    className="text-xs text-gray-400 hover:text-white cursor-pointer"
+                    onClick={onRegenerate}
+                    title="Generate an alternative answer"
+                  >
+                    🔄 Regenerate
+                  </button>
+                )}
+                {editable && onContinue && (
+                  <button
+                    className="text-xs text-gray-400 hover:text-white cursor-pointer"
+                    onClick={onContinue}
+                    title="Continue the answer where it stopped"
+                  >
+                    ⏩ Continue
+                  </button>
+                )}
+              </div>
+            )}
           </div>
         </div>
       ) : (
-        <div className="flex items-start space-x-4 justify-end">
-          <div className="user-message glass-card rounded-2xl p-6 max-w-2xl">
-            <p className="min-h-6 overflow-wrap-anywhere text-white">{content}</p>
-          </div>
+        <div className="group flex items-start space-x-4 justify-end">
+          {isEditing ? (
+            <div className="user-message glass-card rounded-2xl p-4 flex-1 max-w-2xl">
+              <textarea
+                className="ai-input w-full rounded-xl px-4 py-3 text-white focus:outline-none resize-y min-h-24"
+                value={editedContent}
+                onChange={(e) => setEditedContent(e.target.value)}
+                autoFocus
+              />
+              <div className="flex justify-end gap-3 mt-3">
+                <button
+                  className="rounded-xl px-4 py-2 text-sm text-gray-300 hover:text-white cursor-pointer"
+                  onClick={() => {
+                    setEditedContent(content);
+                    setIsEditing(false);
+                  }}
+                >
+                  Cancel
+                </button>
+                <button
+                  className="btn-premium rounded-xl px-4 py-2 text-sm font-medium text-white disabled:opacity-50 disabled:cursor-not-allowed"
+                  disabled={!editable || editedContent.trim().length === 0}
+                  onClick={() => {
+                    setIsEditing(false);
+                    onEdit(editedContent.trim());
+                  }}
+                >
+                  Save &amp; regenerate
+                </button>
+              </div>
+            </div>
+          ) : (
+            <>
+              <div className="self-center">
+                <BranchNavigator
+                  branch={branch}
+                  disabled={!editable}
+                  onSelect={onSelectBranch}
+                />
+              </div>
+              {editable && (
+                <button
+                  className="self-center text-sm text-gray-400 hover:text-white cursor-pointer opacity-0 group-hover:opacity-100 transition-opacity duration-300"
+                  onClick={() => {
+                    setEditedContent(content);
+                    setIsEditing(true);
+                  }}
+                  title="Edit message"
+                >
+                  ✏️
+                </button>
+              )}
+              <div className="user-message glass-card rounded-2xl p-6 max-w-2xl">
+                <p className="min-h-6 overflow-wrap-anywhere text-white">{content}</p>
+              </div>
+            </>
+          )}
           <div className="flex-shrink-0">
             <div className="w-10 h-10 rounded-xl bg-gradient-to-br from-purple-500 to-pink-600 flex items-center justify-center glow-purple">
               <UserIcon className="h-6 w-6 text-white" />
@@ -239,7 +517,16 @@ function Message({ role, content, answerIndex }) {
   );
 }
 
-function Chat({ messages }) {
+function Chat({
+  messages,
+  kernelId,
+  isRunning,
+  onEdit,
+  onRegenerate,
+  onContinue,
+  onSelectBranch,
+  onSendOutput,
+}) {
   const config = {
     loader: { load: ["[tex]/mhchem"] },
     tex: {
@@ -257,11 +544,30 @@ function Chat({ messages }) {
 
   return (
     <MathJaxContext config={config}>
-      <div className="w-full py-8">
-        {messages.map((message, index) => (
-          <Message key={index} {...message} />
-        ))}
-      </div>
+      <KernelContext.Provider
+        value={{
+          id: kernelId,
+          onSendOutput: isRunning ? null : onSendOutput,
+        }}
+      >
+        <div className="w-full py-8">
+          {messages.map((message, i) => (
+            <Message
+              key={message.id}
+              {...message}
+              editable={!isRunning}
+              onEdit={(content) => onEdit(message.id, content)}
+              onRegenerate={() => onRegenerate(message.id)}
+              onContinue={
+                i === messages.length - 1 && message.finish_reason === "length"
+                  ? onContinue
+                  : null
+              }
+              onSelectBranch={(offset) => onSelectBranch(message.id, offset)}
+            />
+          ))}
+        </div>
+      </KernelContext.Provider>
     </MathJaxContext>
   );
 }
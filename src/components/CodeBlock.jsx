@@ -1,15 +1,38 @@
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useRef, useContext } from 'react';
+import {
+  KernelContext,
+  formatObservation,
+  hasKernel,
+  restartKernel,
+  runCell,
+  useKernel,
+} from '../lib/kernels';
+import {
+  EXECUTION_TIMEOUTS,
+  getExecutionTimeout,
+  setExecutionTimeout,
+} from '../lib/sandbox';
+import { canInterruptPython } from '../lib/python';
+import HtmlPreview from './HtmlPreview';
+import RichOutput from './RichOutput';
 
 const CodeBlock = ({ code, language, className, isStreaming = false }) => {
   const [isEditing, setIsEditing] = useState(false);
   const [editedCode, setEditedCode] = useState(code);
   const [output, setOutput] = useState('');
+  const [displays, setDisplays] = useState([]); // figures and tables
   const [isRunning, setIsRunning] = useState(false);
   const [executionStatus, setExecutionStatus] = useState('idle'); // idle, running, success, error
   const [showOutput, setShowOutput] = useState(false);
-  const [pyodide, setPyodide] = useState(null);
+  const [showPreview, setShowPreview] = useState(false);
   const [pyodideLoading, setPyodideLoading] = useState(false);
+  const [timeout, setTimeoutState] = useState(getExecutionTimeout);
+  const [execution, setExecution] = useState(null); // { count, generation } of the last run
+  const [lastRun, setLastRun] = useState(null); // { text, displays, error } for the model
+  const { id: kernelId, onSendOutput } = useContext(KernelContext);
+  const kernel = useKernel(kernelId);
   const codeRef = useRef(null);
+  const abortRef = useRef(null);
 
   // Update editedCode when code prop changes (for streaming)
   useEffect(() => {
@@ -28,45 +51,6 @@ const CodeBlock = ({ code, language, className, isStreaming = false }) => {
     }
   }, [editedCode]);
 
-  // Load Pyodide when needed
-  const loadPyodide = async () => {
-    if (pyodide || pyodideLoading) return pyodide;
-
-    setPyodideLoading(true);
-    try {
-      // Load Pyodide from CDN
-      const script = document.createElement('script');
-      script.src = 'https://cdn.jsdelivr.net/pyodide/v0.24.1/full/pyodide.js';
-      document.head.appendChild(script);
-
-      return new Promise((resolve, reject) => {
-        script.onload = async () => {
-          try {
-            const pyodideInstance = await window.loadPyodide({
-              indexURL: 'https://cdn.jsdelivr.net/pyodide/v0.24.1/full/',
-              stdout: (text) => {
-                // Handle stdout in the execution context
-              }
-            });
-            setPyodide(pyodideInstance);
-            setPyodideLoading(false);
-            resolve(pyodideInstance);
-          } catch (error) {
-            setPyodideLoading(false);
-            reject(error);
-          }
-        };
-        script.onerror = () => {
-          setPyodideLoading(false);
-          reject(new Error('Failed to load Pyodide'));
-        };
-      });
-    } catch (error) {
-      setPyodideLoading(false);
-      throw error;
-    }
-  };
-
   // Detect language from className or content
   const detectLanguage = () => {
     if (language) return language.toLowerCase();
@@ -94,9 +78,16 @@ const CodeBlock = ({ code, language, className, isStreaming = false }) => {
   };
 
   const executeCode = async () => {
+    // HTML and CSS are rendered live in the preview pane
+    if (lang === 'html' || lang === 'css') {
+      setShowPreview(true);
+      return;
+    }
+
     setIsRunning(true);
     setExecutionStatus('running');
     setOutput('Initializing execution...');
+    setDisplays([]);
     setShowOutput(true);
 
     try {
@@ -109,242 +100,70 @@ const CodeBlock = ({ code, language, className, isStreaming = false }) => {
         case 'python':
           result = await executePython(editedCode);
           break;
-        case 'html':
-          result = await executeHTML(editedCode);
-          break;
-        case 'css':
-          result = await executeCSS(editedCode);
-          break;
         default:
           result = `Execution not supported for ${lang || 'unknown'} language yet.`;
       }
 
-      setOutput(result || 'Code executed successfully (no output)');
+      setOutput(result ?? 'Code executed successfully (no output)');
       setExecutionStatus('success');
     } catch (error) {
-      setOutput(`Error: ${error.message}`);
+      setOutput([error.output, `Error: ${error.message}`].filter(Boolean).join('\n'));
       setExecutionStatus('error');
     } finally {
       setIsRunning(false);
     }
   };
 
-  const executeJavaScript = async (code) => {
-    return new Promise((resolve, reject) => {
-      try {
-        // Create a safe execution environment
-        const originalLog = console.log;
-        const originalError = console.error;
-        const originalWarn = console.warn;
-        const logs = [];
-
-        // Override console methods to capture output
-        console.log = (...args) => {
-          logs.push('LOG: ' + args.map(arg =>
-            typeof arg === 'object' ? JSON.stringify(arg, null, 2) : String(arg)
-          ).join(' '));
-        };
-
-        console.error = (...args) => {
-          logs.push('ERROR: ' + args.map(arg =>
-            typeof arg === 'object' ? JSON.stringify(arg, null, 2) : String(arg)
-          ).join(' '));
-        };
-
-        console.warn = (...args) => {
-          logs.push('WARN: ' + args.map(arg =>
-            typeof arg === 'object' ? JSON.stringify(arg, null, 2) : String(arg)
-          ).join(' '));
-        };
-
-        // Execute the code in a function scope
-        const func = new Function(`
-          try {
-            ${code}
-          } catch (error) {
-            console.error('Runtime Error:', error.message);
-            throw error;
-          }
-        `);
-
-        const result = func();
-
-        // Restore original console methods
-        console.log = originalLog;
-        console.error = originalError;
-        console.warn = originalWarn;
-
-        let output = logs.join('\n');
-        if (result !== undefined) {
-          output += (output ? '\n' : '') + `Return value: ${JSON.stringify(result)}`;
-        }
+  // Run code in the conversation's kernel, streaming its output as it arrives
+  const executeInSandbox = async (code, options = {}) => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setLastRun(null);
 
-        resolve(output || 'Code executed successfully (no console output)');
-      } catch (error) {
-        // Restore console methods
-        console.log = originalLog;
-        console.error = originalError;
-        console.warn = originalWarn;
-        reject(new Error(`JavaScript execution failed: ${error.message}`));
-      }
-    });
-  };
-
-  const executePython = async (code) => {
     try {
-      setOutput('Loading Python environment...');
-
-      // Try to use Pyodide for real Python execution
-      let pyodideInstance = pyodide;
-      if (!pyodideInstance) {
-        pyodideInstance = await loadPyodide();
-      }
-
-      if (pyodideInstance) {
-        setOutput('Executing Python code...');
-
-        // Capture stdout
-        let output = '';
-        pyodideInstance.runPython(`
-import sys
-from io import StringIO
-
-# Redirect stdout to capture print statements
-old_stdout = sys.stdout
-sys.stdout = mystdout = StringIO()
-        `);
-
-        try {
-          // Execute user code
-          const result = pyodideInstance.runPython(code);
-
-          // Get captured output
-          const capturedOutput = pyodideInstance.runPython('mystdout.getvalue()');
-
-          // Restore stdout
-          pyodideInstance.runPython('sys.stdout = old_stdout');
-
-          let finalOutput = '';
-          if (capturedOutput && capturedOutput.trim()) {
-            finalOutput += capturedOutput.trim();
-          }
-
-          if (result !== undefined && result !== null) {
-            if (finalOutput) finalOutput += '\n';
-            finalOutput += `Return value: ${result}`;
-          }
-
-          return finalOutput || 'Python code executed successfully (no output)';
-
-        } catch (error) {
-          // Restore stdout on error
-          pyodideInstance.runPython('sys.stdout = old_stdout');
-          throw new Error(`Python execution error: ${error.message}`);
-        }
-      } else {
-        // Fallback to simulation if Pyodide fails to load
-        return await executePythonSimulation(code);
+      const run = await runCell(kernelId, lang, code, {
+        ...options,
+        onExecution: setExecution,
+        timeout,
+        signal: controller.signal,
+        onUpdate: ({ text, displays }) => {
+          if (text) setOutput(text);
+          setDisplays(displays);
+        },
+      });
+      setLastRun(run);
+      if (run.error) {
+        // Keep whatever the code printed before it failed
+        run.error.output = run.text;
+        throw run.error;
       }
-    } catch (error) {
-      console.warn('Pyodide execution failed, falling back to simulation:', error);
-      return await executePythonSimulation(code);
+      if (!run.text && run.displays.length > 0) return '';
+      return run.text || 'Code executed successfully (no output)';
+    } finally {
+      abortRef.current = null;
     }
   };
 
-  const executePythonSimulation = async (code) => {
-    return new Promise((resolve) => {
-      setTimeout(() => {
-        try {
-          const outputs = [];
-
-          // Extract print statements
-          const printRegex = /print\s*\(\s*([^)]+)\s*\)/g;
-          let match;
-
-          while ((match = printRegex.exec(code)) !== null) {
-            let content = match[1].trim();
-
-            // Handle simple string literals
-            if ((content.startsWith('"') && content.endsWith('"')) ||
-                (content.startsWith("'") && content.endsWith("'"))) {
-              outputs.push(content.slice(1, -1));
-            } else if (!isNaN(content)) {
-              // Handle numbers
-              outputs.push(content);
-            } else {
-              // Handle variables and expressions (simplified)
-              outputs.push(`${content} (simulated)`);
-            }
-          }
-
-          if (outputs.length > 0) {
-            resolve(outputs.join('\n') + '\n[Note: Running in simulation mode - install Pyodide for full Python support]');
-          } else {
-            resolve('Python code executed successfully (simulated - no print statements detected)');
-          }
-        } catch (error) {
-          resolve(`Python simulation error: ${error.message}`);
-        }
-      }, 800);
-    });
-  };
-
-  const executeHTML = async (code) => {
-    return new Promise((resolve) => {
-      try {
-        const iframe = document.createElement('iframe');
-        iframe.style.cssText = 'position: absolute; left: -9999px; width: 1px; height: 1px;';
-        document.body.appendChild(iframe);
-
-        iframe.onload = () => {
-          setTimeout(() => {
-            try {
-              const doc = iframe.contentDocument || iframe.contentWindow.document;
-              const bodyContent = doc.body?.innerText?.trim() || '';
-              const title = doc.title || '';
+  const executeJavaScript = (code) => executeInSandbox(code);
 
-              document.body.removeChild(iframe);
-
-              let output = 'HTML rendered successfully!\n';
-              if (title) output += `Title: ${title}\n`;
-              if (bodyContent) output += `Body content: ${bodyContent}`;
-              else output += 'No visible text content found';
-
-              resolve(output);
-            } catch (error) {
-              document.body.removeChild(iframe);
-              resolve(`HTML execution completed with warnings: ${error.message}`);
-            }
-          }, 300);
-        };
-
-        iframe.contentDocument.open();
-        iframe.contentDocument.write(code);
-        iframe.contentDocument.close();
-      } catch (error) {
-        resolve(`HTML execution error: ${error.message}`);
-      }
-    });
+  const executePython = async (code) => {
+    try {
+      return await executeInSandbox(code, {
+        onLoading: (text) => {
+          setPyodideLoading(text !== null);
+          setOutput(text ?? 'Executing Python code...');
+        },
+      });
+    } finally {
+      setPyodideLoading(false);
+    }
   };
 
-  const executeCSS = async (code) => {
-    return new Promise((resolve) => {
-      try {
-        const ruleCount = (code.match(/\{/g) || []).length;
-        const selectorCount = (code.match(/[^{}]+(?=\s*\{)/g) || []).length;
-        const propertyCount = (code.match(/[^{}:]+\s*:/g) || []).length;
+  const stopExecution = () => abortRef.current?.abort();
 
-        resolve(
-          `CSS Analysis Complete!\n` +
-          `- ${ruleCount} CSS rule(s) found\n` +
-          `- ${selectorCount} selector(s) detected\n` +
-          `- ${propertyCount} CSS property declaration(s)\n` +
-          `- Code syntax appears valid`
-        );
-      } catch (error) {
-        resolve(`CSS analysis error: ${error.message}`);
-      }
-    });
+  const changeTimeout = (value) => {
+    setTimeoutState(value);
+    setExecutionTimeout(value);
   };
 
   const getLanguageIcon = () => {
@@ -369,11 +188,31 @@ sys.stdout = mystdout = StringIO()
   };
 
   const canExecute = ['javascript', 'python', 'html', 'css'].includes(lang);
+  const runsInKernel = hasKernel(lang);
+  // Runs from before the last kernel restart no longer count
+  const executed = execution?.generation === kernel.generation;
 
   return (
     <div className="code-block-container my-4">
       <div className="relative">
         <div className="markdown-pre relative">
+          {runsInKernel && (
+            <span
+              className={`code-execution-count ${executed || isRunning ? '' : 'stale'}`}
+              title={
+                isRunning
+                  ? 'Running'
+                  : executed
+                    ? `Run #${execution.count} in this conversation`
+                    : execution
+                      ? 'Ran before the kernel was restarted'
+                      : 'Not run yet'
+              }
+            >
+              [{isRunning ? '*' : executed ? execution.count : ' '}]
+            </span>
+          )}
+
           {/* Code action buttons */}
           <div className="code-actions">
             <button
@@ -390,16 +229,37 @@ sys.stdout = mystdout = StringIO()
             >
               ✏️
             </button>
-            {canExecute && (
+            {runsInKernel && (
+              <button
+                className="code-action-btn restart"
+                onClick={() => restartKernel(kernelId)}
+                title="Restart kernel (clears the variables of this conversation)"
+              >
+                🔁
+              </button>
+            )}
+            {canExecute && (isRunning && runsInKernel ? (
+              <button
+                className="code-action-btn run"
+                onClick={stopExecution}
+                title="Stop execution"
+              >
+                ⏹
+              </button>
+            ) : (
               <button
                 className="code-action-btn run"
                 onClick={executeCode}
                 disabled={isRunning}
-                title={`Run ${lang} code${lang === 'python' ? ' (with Pyodide)' : ''}`}
+                title={
+                  lang === 'html' || lang === 'css'
+                    ? 'Show live preview'
+                    : `Run ${lang} code${lang === 'python' ? ' (with Pyodide)' : ''}`
+                }
               >
                 {isRunning ? '⏳' : '▶️'}
               </button>
-            )}
+            ))}
           </div>
 
           <pre className="code-content" ref={codeRef}>
@@ -416,11 +276,43 @@ sys.stdout = mystdout = StringIO()
               <div className="code-output-status">
                 <div className={`status-indicator ${executionStatus}`}></div>
                 <span>{getLanguageIcon()} {lang.charAt(0).toUpperCase() + lang.slice(1)}
-                  {lang === 'python' && pyodide ? ' (Pyodide)' : lang === 'python' && pyodideLoading ? ' (Loading...)' : ' Interpreter'}
+                  {lang === 'python' ? (pyodideLoading ? ' (Loading...)' : ' (Pyodide)') : ' Interpreter'}
                 </span>
               </div>
               <div className="flex items-center gap-2">
+                {lang === 'python' && isRunning && !canInterruptPython() && (
+                  <span
+                    className="text-xs text-yellow-300"
+                    title="The page is not cross-origin isolated, so Python cannot be interrupted"
+                  >
+                    Stopping restarts Python
+                  </span>
+                )}
                 <span>{getStatusText()}</span>
+                {lastRun && !isRunning && onSendOutput && (
+                  <button
+                    className="text-xs text-gray-400 hover:text-white cursor-pointer"
+                    onClick={() => onSendOutput(formatObservation(lang, lastRun))}
+                    title="Send the output to the model"
+                  >
+                    💬 Send to chat
+                  </button>
+                )}
+                {runsInKernel && (
+                  <select
+                    className="bg-transparent text-xs text-gray-400 hover:text-white cursor-pointer focus:outline-none"
+                    value={timeout}
+                    onChange={(e) => changeTimeout(Number(e.target.value))}
+                    disabled={isRunning}
+                    title="Time limit"
+                  >
+                    {EXECUTION_TIMEOUTS.map((value) => (
+                      <option key={value} value={value} className="bg-slate-800">
+                        {value ? `${value / 1000}s limit` : 'No limit'}
+                      </option>
+                    ))}
+                  </select>
+                )}
                 <button
                   className="text-xs text-gray-400 hover:text-white cursor-pointer"
                   onClick={() => setShowOutput(false)}
@@ -430,9 +322,35 @@ sys.stdout = mystdout = StringIO()
                 </button>
               </div>
             </div>
-            <div className={`code-output-content ${executionStatus}`}>
-              {output}
+            {(output || displays.length === 0) && (
+              <div className={`code-output-content ${executionStatus}`}>
+                {output}
+              </div>
+            )}
+            {displays.length > 0 && (
+              <div className="code-output-displays">
+                {displays.map((display, index) => (
+                  <RichOutput key={index} output={display} />
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Live preview of HTML and CSS */}
+        {showPreview && (
+          <div className="code-output">
+            <div className="code-output-header">
+              <span>{getLanguageIcon()} Live preview</span>
+              <button
+                className="text-xs text-gray-400 hover:text-white cursor-pointer"
+                onClick={() => setShowPreview(false)}
+                title="Hide preview"
+              >
+                ✕
+              </button>
             </div>
+            <HtmlPreview code={editedCode} language={lang} />
           </div>
         )}
       </div>
@@ -0,0 +1,56 @@
+import { CONTEXT_STRATEGIES } from "../lib/context";
+
+export default function ContextMeter({
+  promptTokens,
+  contextLength,
+  truncation,
+  summarizing,
+}) {
+  const indicator = (
+    <span className="text-xs text-purple-300 typing-pulse">
+      Summarizing older turns...
+    </span>
+  );
+  // The first prompt of a conversation may be summarized before it is counted.
+  if (promptTokens === undefined) {
+    return summarizing ? (
+      <div className="glass rounded-xl px-4 py-2 inline-flex items-center">
+        {indicator}
+      </div>
+    ) : null;
+  }
+
+  const percentage = Math.min((promptTokens / contextLength) * 100, 100);
+  const color =
+    percentage > 90
+      ? "from-red-500 to-pink-600"
+      : percentage > 70
+        ? "from-yellow-500 to-orange-600"
+        : "from-blue-500 to-purple-600";
+
+  return (
+    <div
+      className="glass rounded-xl px-4 py-2 inline-flex items-center gap-3"
+      title={`${promptTokens} of ${contextLength} context tokens used by the prompt`}
+    >
+      <span className="text-secondary text-sm">Context</span>
+      <div className="w-24 bg-slate-700/50 rounded-full h-2 overflow-hidden">
+        <div
+          className={`h-full bg-gradient-to-r ${color} rounded-full transition-all duration-300`}
+          style={{ width: `${percentage}%` }}
+        />
+      </div>
+      <span className="text-secondary text-sm">
+        {promptTokens.toLocaleString()} / {contextLength.toLocaleString()}
+      </span>
+      {summarizing
+        ? indicator
+        : truncation?.removed > 0 && (
+            <span className="text-xs text-yellow-300">
+              {CONTEXT_STRATEGIES[truncation.strategy]}: {truncation.removed}{" "}
+              message{truncation.removed === 1 ? "" : "s"} left out
+            </span>
+          )}
+    </div>
+  );
+}
@@ -0,0 +1,46 @@
+import { PHASES } from "../lib/protocol";
+
+/**
+ * Error reported by the worker (see protocol.js). Recoverable errors can be
+ * retried or dismissed; otherwise the page must be reloaded.
+ */
+export default function ErrorBanner({ error, onRetry, onDismiss }) {
+  return (
+    <div className="fixed top-20 left-1/2 -translate-x-1/2 z-30 w-[calc(100%-2rem)] max-w-lg glass-card rounded-2xl p-4 border-red-500/30 bg-red-500/10 flex items-start gap-3">
+      <div className="text-2xl">⚠️</div>
+      <div className="flex-1 min-w-0">
+        <h3 className="font-semibold text-red-400">
+          {PHASES[error.phase] ?? "Something went wrong"}
+        </h3>
+        <p className="text-sm text-red-300 leading-relaxed break-words">
+          {error.message}
+        </p>
+        <div className="flex justify-end gap-3 mt-3">
+          {error.recoverable ? (
+            <>
+              <button
+                className="rounded-xl px-4 py-2 text-sm text-gray-300 hover:text-white cursor-pointer"
+                onClick={onDismiss}
+              >
+                Dismiss
+              </button>
+              <button
+                className="btn-premium rounded-xl px-4 py-2 text-sm font-medium text-white"
+                onClick={onRetry}
+              >
+                Retry
+              </button>
+            </>
+          ) : (
+            <button
+              className="btn-premium rounded-xl px-4 py-2 text-sm font-medium text-white"
+              onClick={() => location.reload()}
+            >
+              Reload page
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
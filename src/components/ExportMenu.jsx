@@ -0,0 +1,40 @@
+import { useState } from "react";
+
+const OPTIONS = [
+  { format: "markdown", label: "Markdown" },
+  { format: "markdown-reasoning", label: "Markdown (with reasoning)" },
+  { format: "json", label: "JSON" },
+];
+
+export default function ExportMenu({ disabled, onExport }) {
+  const [open, setOpen] = useState(false);
+
+  return (
+    <div className="relative">
+      <button
+        className="glass rounded-xl px-3 py-2 text-sm text-white/80 hover:text-white cursor-pointer transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
+        onClick={() => setOpen((prev) => !prev)}
+        disabled={disabled}
+        title="Export conversation"
+      >
+        ⬇️
+      </button>
+      {open && (
+        <div className="absolute right-0 mt-2 w-56 glass-card rounded-xl p-1 z-20">
+          {OPTIONS.map(({ format, label }) => (
+            <button
+              key={format}
+              className="block w-full text-left rounded-lg px-3 py-2 text-sm text-white/80 hover:bg-slate-700/50 hover:text-white cursor-pointer"
+              onClick={() => {
+                setOpen(false);
+                onExport(format);
+              }}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,53 @@
+// CSS blocks are previewed on this document
+const SAMPLE_DOCUMENT = `
+<header>
+  <h1>Heading 1</h1>
+  <nav><a href="#">Home</a> <a href="#">About</a> <a href="#">Contact</a></nav>
+</header>
+<main>
+  <h2>Heading 2</h2>
+  <p>A paragraph with <strong>bold</strong>, <em>italic</em>, <code>code</code> and a <a href="#">link</a>.</p>
+  <div class="container">
+    <div class="card box item">
+      <h3>Card title</h3>
+      <p>Some content in a card.</p>
+      <button class="btn button">Button</button>
+    </div>
+  </div>
+  <ul><li>First item</li><li>Second item</li></ul>
+  <table>
+    <tr><th>Name</th><th>Value</th></tr>
+    <tr><td>Alpha</td><td>1</td></tr>
+    <tr><td>Beta</td><td>2</td></tr>
+  </table>
+  <form>
+    <label>Input <input type="text" placeholder="Type here"></label>
+    <button type="submit">Submit</button>
+  </form>
+</main>
+<footer><p>Footer</p></footer>
+`;
+
+function toDocument(code, language) {
+  if (language !== "css") return code;
+  const style = code.replace(/<\/style/gi, "<\\/style");
+  return `<!doctype html><html><head><style>${style}</style></head><body>${SAMPLE_DOCUMENT}</body></html>`;
+}
+
+/**
+ * Live preview of an HTML block, or of a CSS block applied to a sample
+ * document. The frame is sandboxed without same-origin access, so scripts
+ * in it cannot reach the app.
+ */
+export default function HtmlPreview({ code, language }) {
+  return (
+    <div className="code-preview">
+      <iframe
+        className="w-full h-full bg-white"
+        sandbox="allow-scripts allow-modals"
+        srcDoc={toDocument(code, language)}
+        title="Preview"
+      />
+    </div>
+  );
+}
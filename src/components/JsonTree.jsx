@@ -0,0 +1,73 @@
+import { useState } from "react";
+
+function JsonNode({ name, value, depth }) {
+  const [expanded, setExpanded] = useState(depth < 2);
+  const label = name !== undefined && (
+    <span className="json-key">{JSON.stringify(name)}: </span>
+  );
+
+  if (value === null || typeof value !== "object") {
+    return (
+      <div>
+        {label}
+        <span className={`json-${value === null ? "null" : typeof value}`}>
+          {JSON.stringify(value)}
+        </span>
+      </div>
+    );
+  }
+
+  const isArray = Array.isArray(value);
+  const entries = Object.entries(value);
+  const [open, close] = isArray ? ["[", "]"] : ["{", "}"];
+  return (
+    <div>
+      <button
+        className="cursor-pointer hover:bg-slate-700/50 rounded text-left"
+        onClick={() => setExpanded((prev) => !prev)}
+      >
+        <span className="text-blue-400 inline-block w-4">
+          {expanded ? "▾" : "▸"}
+        </span>
+        {label}
+        {open}
+        {!expanded && (
+          <>
+            <span className="text-gray-400">
+              {" "}
+              {entries.length} {isArray ? "items" : "keys"}{" "}
+            </span>
+            {close}
+          </>
+        )}
+      </button>
+      {expanded && (
+        <>
+          <div className="pl-4 ml-1.5 border-l border-slate-600/50">
+            {entries.map(([key, item]) => (
+              <JsonNode
+                key={key}
+                name={isArray ? undefined : key}
+                value={item}
+                depth={depth + 1}
+              />
+            ))}
+          </div>
+          <div className="pl-4">{close}</div>
+        </>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Collapsible view of a parsed JSON answer. Objects and arrays are expanded
+ * two levels deep.
+ */
+export default function JsonTree({ value }) {
+  return (
+    <div className="json-tree overflow-x-auto scrollbar-thin">
+      <JsonNode value={value} depth={0} />
+    </div>
+  );
+}
@@ -0,0 +1,45 @@
+import { MODELS, getDtypes, getModel } from "../lib/models";
+
+export default function ModelPicker({
+  modelId,
+  dtype,
+  device,
+  disabled,
+  onChange,
+  className = "",
+}) {
+  const model = getModel(modelId);
+  const dtypes = getDtypes(model, device);
+
+  return (
+    <div className={`flex items-center gap-2 ${className}`}>
+      <select
+        className="bg-slate-800/80 text-white text-sm rounded-lg px-3 py-2 focus:outline-none cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+        value={modelId}
+        disabled={disabled}
+        onChange={(e) => onChange(e.target.value, null)}
+        title="Model"
+      >
+        {MODELS.map((x) => (
+          <option key={x.id} value={x.id}>
+            {x.name}
+            {x.thinking ? " 🧠" : ""}
+          </option>
+        ))}
+      </select>
+      <select
+        className="bg-slate-800/80 text-white text-sm rounded-lg px-3 py-2 focus:outline-none cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+        value={dtype ?? ""}
+        disabled={disabled}
+        onChange={(e) => onChange(modelId, e.target.value)}
+        title="Weights precision (dtype)"
+      >
+        {dtypes.map((x) => (
+          <option key={x} value={x}>
+            {x}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
@@ -0,0 +1,46 @@
+/**
+ * Figures and tables produced by a code block, as sent by the Python and
+ * JavaScript workers.
+ */
+export default function RichOutput({ output }) {
+  if (output.type === "image") {
+    return (
+      <img
+        src={output.src}
+        alt="Figure"
+        className="max-w-full rounded-lg bg-white"
+      />
+    );
+  }
+
+  const [index, ...columns] = output.columns;
+  return (
+    <div className="overflow-x-auto scrollbar-thin">
+      <table className="output-table">
+        <thead>
+          <tr>
+            <th>{index}</th>
+            {columns.map((column, i) => (
+              <th key={i}>{column}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {output.rows.map(([key, ...cells], i) => (
+            <tr key={i}>
+              <th>{key}</th>
+              {cells.map((cell, j) => (
+                <td key={j}>{cell}</td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {output.total > output.rows.length && (
+        <div className="text-xs text-gray-400 mt-1">
+          Showing {output.rows.length} of {output.total} rows
+        </div>
+      )}
+    </div>
+  );
+}
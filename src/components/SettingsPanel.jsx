@@ -0,0 +1,278 @@
+import { useState } from "react";
+
+import { CONTEXT_STRATEGIES } from "../lib/context";
+import {
+  DEFAULT_SETTINGS,
+  PRESETS,
+  SETTING_RANGES,
+  findPreset,
+} from "../lib/settings";
+
+const SLIDERS = [
+  { key: "temperature", label: "Temperature", step: 0.05, sampling: true },
+  { key: "top_k", label: "Top-k", step: 1, sampling: true },
+  { key: "top_p", label: "Top-p", step: 0.05, sampling: true },
+  { key: "min_p", label: "Min-p", step: 0.01, sampling: true },
+  { key: "repetition_penalty", label: "Repetition penalty", step: 0.05 },
+  { key: "max_new_tokens", label: "Max new tokens", step: 64 },
+].map((slider) => ({ ...slider, ...SETTING_RANGES[slider.key] }));
+
+// Stop strings are edited one per line, with "\n" for line breaks.
+const formatStop = (stop) =>
+  stop.map((text) => text.replaceAll("\n", "\\n")).join("\n");
+const parseStop = (text) =>
+  text
+    .split("\n")
+    .filter((line) => line.length > 0)
+    .map((line) => line.replaceAll("\\n", "\n"));
+
+export default function SettingsPanel({ settings, onChange, onClose }) {
+  const preset = findPreset(settings);
+  const update = (changes) => onChange({ ...settings, ...changes });
+
+  // The schema is only saved while it is valid.
+  const [schemaText, setSchemaText] = useState(settings.json_schema);
+  const [stopText, setStopText] = useState(() => formatStop(settings.stop));
+  const [schemaError, setSchemaError] = useState(null);
+  function updateSchema(text) {
+    setSchemaText(text);
+    try {
+      const schema = JSON.parse(text.trim() || "{}");
+      if (typeof schema !== "object" || schema === null || Array.isArray(schema)) {
+        throw new Error("The schema must be a JSON object");
+      }
+      setSchemaError(null);
+      update({ json_schema: text });
+    } catch (e) {
+      setSchemaError(e.message);
+    }
+  }
+
+  return (
+    <div
+      className="fixed inset-0 z-40 flex items-center justify-center bg-black/60 backdrop-blur-sm"
+      onClick={onClose}
+    >
+      <div
+        className="glass-card rounded-2xl p-6 w-full max-w-md mx-4 max-h-[90vh] overflow-y-auto scrollbar-thin"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-semibold text-gradient">
+            Generation settings
+          </h2>
+          <button
+            className="text-gray-400 hover:text-white cursor-pointer"
+            onClick={onClose}
+            title="Close settings"
+          >
+            ✕
+          </button>
+        </div>
+
+        {/* Presets */}
+        <div className="grid grid-cols-3 gap-2 mb-4">
+          {Object.keys(PRESETS).map((name) => (
+            <button
+              key={name}
+              className={`rounded-lg px-3 py-2 text-sm font-medium capitalize cursor-pointer transition-all duration-300 ${
+                preset === name
+                  ? "bg-gradient-to-r from-blue-500 to-purple-600 text-white"
+                  : "bg-gray-700/50 text-gray-300 hover:bg-gray-600/50 hover:text-white"
+              }`}
+              onClick={() => update(PRESETS[name])}
+            >
+              {name}
+            </button>
+          ))}
+        </div>
+
+        {/* Decoding strategy */}
+        <div className="flex items-center justify-between mb-4 text-sm text-white">
+          <span>Decoding</span>
+          <div className="flex rounded-lg overflow-hidden">
+            {[
+              [true, "Sampling"],
+              [false, "Greedy"],
+            ].map(([value, label]) => (
+              <button
+                key={label}
+                className={`px-3 py-1 cursor-pointer ${
+                  settings.do_sample === value
+                    ? "bg-gradient-to-r from-blue-500 to-purple-600 text-white"
+                    : "bg-gray-700/50 text-gray-400 hover:text-white"
+                }`}
+                onClick={() => update({ do_sample: value })}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {SLIDERS.map(({ key, label, min, max, step, sampling }) => (
+          <label
+            key={key}
+            className={`block mb-3 text-sm text-white ${
+              sampling && !settings.do_sample ? "opacity-40" : ""
+            }`}
+          >
+            <div className="flex justify-between mb-1">
+              <span>{label}</span>
+              <span className="text-blue-300">{settings[key]}</span>
+            </div>
+            <input
+              type="range"
+              className="w-full accent-purple-500"
+              min={min}
+              max={max}
+              step={step}
+              value={settings[key]}
+              disabled={sampling && !settings.do_sample}
+              onChange={(e) => update({ [key]: Number(e.target.value) })}
+            />
+          </label>
+        ))}
+
+        <label className="flex items-center justify-between mb-4 text-sm text-white">
+          <span>Seed</span>
+          <input
+            type="number"
+            className="w-32 bg-slate-800/80 rounded-lg px-2 py-1 text-white focus:outline-none"
+            placeholder="random"
+            value={settings.seed ?? ""}
+            disabled={!settings.do_sample}
+            onChange={(e) =>
+              update({
+                seed: e.target.value === "" ? null : Math.trunc(Number(e.target.value)),
+              })
+            }
+          />
+        </label>
+
+        <label className="block mb-4 text-sm text-white">
+          <div className="mb-1">Stop sequences (one per line)</div>
+          <textarea
+            className="ai-input w-full rounded-xl px-3 py-2 text-white placeholder-gray-400 focus:outline-none font-mono text-xs min-h-16"
+            placeholder={"e.g. ###\nor \\n\\n for a blank line"}
+            value={stopText}
+            onChange={(e) => {
+              setStopText(e.target.value);
+              update({ stop: parseStop(e.target.value) });
+            }}
+            spellCheck={false}
+          />
+        </label>
+
+        <label className="flex items-center justify-between mb-4 text-sm text-white">
+          <span>Strip earlier reasoning from history</span>
+          <input
+            type="checkbox"
+            className="accent-purple-500 h-4 w-4 cursor-pointer"
+            checked={settings.strip_reasoning}
+            onChange={(e) => update({ strip_reasoning: e.target.checked })}
+          />
+        </label>
+
+        <label className="flex items-center justify-between mb-4 text-sm text-white">
+          <span>When the context is full</span>
+          <select
+            className="bg-slate-800/80 rounded-lg px-2 py-1 text-white focus:outline-none cursor-pointer"
+            value={settings.context_strategy}
+            onChange={(e) => update({ context_strategy: e.target.value })}
+          >
+            {Object.entries(CONTEXT_STRATEGIES).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        <label className="flex items-center justify-between mb-3 text-sm text-white">
+          <span>Let the model call tools (Qwen3 only)</span>
+          <input
+            type="checkbox"
+            className="accent-purple-500 h-4 w-4 cursor-pointer"
+            checked={settings.enable_tools}
+            onChange={(e) => update({ enable_tools: e.target.checked })}
+          />
+        </label>
+
+        <label className="flex items-center justify-between mb-3 text-sm text-white">
+          <span>Run code automatically and send the output back</span>
+          <input
+            type="checkbox"
+            className="accent-purple-500 h-4 w-4 cursor-pointer"
+            checked={settings.auto_execute}
+            onChange={(e) => update({ auto_execute: e.target.checked })}
+          />
+        </label>
+
+        <label
+          className={`block mb-4 text-sm text-white ${
+            settings.auto_execute ? "" : "opacity-40"
+          }`}
+        >
+          <div className="flex justify-between mb-1">
+            <span>Max automatic rounds per message</span>
+            <span className="text-blue-300">{settings.max_execution_rounds}</span>
+          </div>
+          <input
+            type="range"
+            className="w-full accent-purple-500"
+            min={SETTING_RANGES.max_execution_rounds.min}
+            max={SETTING_RANGES.max_execution_rounds.max}
+            step={1}
+            value={settings.max_execution_rounds}
+            disabled={!settings.auto_execute}
+            onChange={(e) =>
+              update({ max_execution_rounds: Number(e.target.value) })
+            }
+          />
+        </label>
+
+        <label className="flex items-center justify-between mb-3 text-sm text-white">
+          <span>Answer with JSON only</span>
+          <input
+            type="checkbox"
+            className="accent-purple-500 h-4 w-4 cursor-pointer"
+            checked={settings.json_mode}
+            onChange={(e) => update({ json_mode: e.target.checked })}
+          />
+        </label>
+
+        <label
+          className={`block mb-4 text-sm text-white ${
+            settings.json_mode ? "" : "opacity-40"
+          }`}
+        >
+          <div className="mb-1">JSON Schema of the answers (optional)</div>
+          <textarea
+            className="ai-input w-full rounded-xl px-3 py-2 text-white placeholder-gray-400 focus:outline-none font-mono text-xs min-h-24"
+            placeholder='{"type": "object", "properties": {"answer": {"type": "string"}}, "required": ["answer"]}'
+            value={schemaText}
+            disabled={!settings.json_mode}
+            onChange={(e) => updateSchema(e.target.value)}
+            spellCheck={false}
+          />
+          {schemaError && (
+            <div className="text-xs text-red-300 mt-1">{schemaError}</div>
+          )}
+        </label>
+
+        <button
+          className="text-gradient hover:underline cursor-pointer text-sm font-medium"
+          onClick={() => {
+            onChange(DEFAULT_SETTINGS);
+            setSchemaText(DEFAULT_SETTINGS.json_schema);
+            setSchemaError(null);
+            setStopText(formatStop(DEFAULT_SETTINGS.stop));
+          }}
+        >
+          Reset to defaults
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,161 @@
+import { useRef, useState } from "react";
+
+function ConversationItem({
+  conversation,
+  active,
+  disabled,
+  onSelect,
+  onRename,
+  onDelete,
+}) {
+  const [isRenaming, setIsRenaming] = useState(false);
+  const [title, setTitle] = useState(conversation.title);
+
+  const commitRename = () => {
+    setIsRenaming(false);
+    const trimmed = title.trim();
+    if (trimmed && trimmed !== conversation.title) {
+      onRename(conversation.id, trimmed);
+    } else {
+      setTitle(conversation.title);
+    }
+  };
+
+  return (
+    <div
+      className={`group flex items-center gap-2 rounded-xl px-3 py-2 transition-all duration-300 ${
+        active
+          ? "bg-gradient-to-r from-blue-500/30 to-purple-600/30 text-white"
+          : "text-white/70 hover:bg-slate-700/50 hover:text-white"
+      }`}
+    >
+      {isRenaming ? (
+        <input
+          className="flex-1 min-w-0 bg-slate-800/80 rounded-lg px-2 py-1 text-sm text-white focus:outline-none"
+          value={title}
+          autoFocus
+          onChange={(e) => setTitle(e.target.value)}
+          onBlur={commitRename}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") commitRename();
+            if (e.key === "Escape") {
+              setTitle(conversation.title);
+              setIsRenaming(false);
+            }
+          }}
+        />
+      ) : (
+        <button
+          className="flex-1 min-w-0 text-left text-sm truncate cursor-pointer disabled:cursor-not-allowed"
+          onClick={() => onSelect(conversation.id)}
+          disabled={disabled}
+          title={conversation.title}
+        >
+          {conversation.title}
+        </button>
+      )}
+      {!isRenaming && (
+        <div className="flex items-center gap-1 opacity-0 group-hover:opacity-100 transition-opacity duration-300">
+          <button
+            className="text-xs text-gray-400 hover:text-white cursor-pointer"
+            onClick={() => {
+              setTitle(conversation.title);
+              setIsRenaming(true);
+            }}
+            title="Rename conversation"
+          >
+            ✏️
+          </button>
+          <button
+            className="text-xs text-gray-400 hover:text-red-400 cursor-pointer disabled:cursor-not-allowed"
+            onClick={() => {
+              if (confirm(`Delete "${conversation.title}"?`)) {
+                onDelete(conversation.id);
+              }
+            }}
+            disabled={disabled}
+            title="Delete conversation"
+          >
+            🗑️
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function Sidebar({
+  open,
+  conversations,
+  activeId,
+  disabled,
+  onClose,
+  onNew,
+  onSelect,
+  onRename,
+  onDelete,
+  onImport,
+}) {
+  const fileInputRef = useRef(null);
+
+  if (!open) return null;
+
+  return (
+    <aside className="fixed left-0 top-0 h-full w-72 z-30 glass-card rounded-none flex flex-col p-4">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold text-gradient">Conversations</h2>
+        <button
+          className="text-gray-400 hover:text-white cursor-pointer"
+          onClick={onClose}
+          title="Close sidebar"
+        >
+          ✕
+        </button>
+      </div>
+      <button
+        className="btn-premium rounded-xl px-4 py-2 mb-4 text-sm font-medium text-white disabled:opacity-50 disabled:cursor-not-allowed"
+        onClick={onNew}
+        disabled={disabled}
+      >
+        + New chat
+      </button>
+      <div className="flex-1 overflow-y-auto scrollbar-thin space-y-1">
+        {conversations.length === 0 ? (
+          <p className="text-sm text-white/40 text-center mt-4">
+            No saved conversations yet.
+          </p>
+        ) : (
+          conversations.map((conversation) => (
+            <ConversationItem
+              key={conversation.id}
+              conversation={conversation}
+              active={conversation.id === activeId}
+              disabled={disabled}
+              onSelect={onSelect}
+              onRename={onRename}
+              onDelete={onDelete}
+            />
+          ))
+        )}
+      </div>
+      <button
+        className="mt-4 rounded-xl px-4 py-2 text-sm text-white/70 bg-gray-700/50 hover:bg-gray-600/50 hover:text-white cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+        onClick={() => fileInputRef.current.click()}
+        disabled={disabled}
+      >
+        ⬆️ Import JSON
+      </button>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept="application/json,.json"
+        className="hidden"
+        onChange={(e) => {
+          const [file] = e.target.files;
+          e.target.value = "";
+          if (file) onImport(file);
+        }}
+      />
+    </aside>
+  );
+}
@@ -0,0 +1,238 @@
+import { useEffect, useRef, useState } from "react";
+
+import ModelPicker from "./ModelPicker";
+import Progress from "./Progress";
+import { getDefaultDtype, getModel } from "../lib/models";
+import {
+  deleteCachedModel,
+  downloadModel,
+  formatBytes,
+  getStorageInfo,
+  listCachedModels,
+  requestPersistence,
+} from "../lib/storage";
+
+export default function StoragePanel({
+  modelId,
+  dtype,
+  device,
+  loadedModelId,
+  onClose,
+}) {
+  const [info, setInfo] = useState(null);
+  // `null` while listing
+  const [models, setModels] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Pre-download of a model, without loading it
+  const [target, setTarget] = useState({ id: modelId, dtype });
+  // File progress as `{file: {loaded, total}}`, or `null` when idle
+  const [downloads, setDownloads] = useState(null);
+  const download = useRef(null);
+
+  async function refresh() {
+    try {
+      const [info, models] = await Promise.all([
+        getStorageInfo(),
+        listCachedModels(),
+      ]);
+      setInfo(info);
+      setModels(models);
+    } catch (e) {
+      setError(e.message);
+      setModels([]);
+    }
+  }
+
+  useEffect(() => {
+    refresh();
+    // Closing the panel cancels the download.
+    return () => download.current?.abort();
+  }, []);
+
+  async function onPersist() {
+    const persisted = await requestPersistence();
+    if (!persisted) {
+      setError("The browser declined to make the storage persistent");
+    }
+    refresh();
+  }
+
+  async function onDelete(id) {
+    setError(null);
+    try {
+      await deleteCachedModel(id);
+    } catch (e) {
+      setError(e.message);
+    }
+    refresh();
+  }
+
+  async function onDownload() {
+    setError(null);
+    setDownloads({});
+    download.current = new AbortController();
+    try {
+      await downloadModel(target.id, target.dtype, {
+        signal: download.current.signal,
+        onProgress: ({ file, loaded, total }) =>
+          setDownloads((prev) => ({ ...prev, [file]: { loaded, total } })),
+      });
+    } catch (e) {
+      if (e.name !== "AbortError") setError(e.message);
+    }
+    download.current = null;
+    setDownloads(null);
+    refresh();
+  }
+
+  const usage =
+    info?.quota > 0 ? Math.min(100, (info.usage / info.quota) * 100) : 0;
+
+  return (
+    <div
+      className="fixed inset-0 z-40 flex items-center justify-center bg-black/60 backdrop-blur-sm"
+      onClick={onClose}
+    >
+      <div
+        className="glass-card rounded-2xl p-6 w-full max-w-lg mx-4 max-h-[90vh] overflow-y-auto scrollbar-thin"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-semibold text-gradient">
+            Model storage
+          </h2>
+          <button
+            className="text-gray-400 hover:text-white cursor-pointer"
+            onClick={onClose}
+            title="Close storage"
+          >
+            ✕
+          </button>
+        </div>
+
+        {/* Usage */}
+        {info?.quota != null && (
+          <div className="mb-4">
+            <div className="flex justify-between text-sm text-gray-300 mb-1">
+              <span>{formatBytes(info.usage)} used</span>
+              <span className="text-gray-400">
+                of {formatBytes(info.quota)} available
+              </span>
+            </div>
+            <div className="w-full bg-slate-700/50 rounded-full h-2 overflow-hidden">
+              <div
+                className="h-full bg-gradient-to-r from-blue-500 to-purple-600 rounded-full"
+                style={{ width: `${usage}%` }}
+              />
+            </div>
+          </div>
+        )}
+        {info && (
+          <div className="flex items-center justify-between gap-3 mb-4 text-sm">
+            <span className="text-gray-400">
+              {info.persisted
+                ? "🔒 Storage is persistent: the browser keeps the models when space runs low."
+                : "The browser may evict the models when space runs low."}
+            </span>
+            {!info.persisted && (
+              <button
+                className="shrink-0 rounded-lg px-3 py-1.5 text-xs font-medium bg-gray-700/50 text-gray-300 hover:bg-gray-600/50 hover:text-white cursor-pointer"
+                onClick={onPersist}
+              >
+                Persist storage
+              </button>
+            )}
+          </div>
+        )}
+
+        {error && <p className="text-sm text-red-400 mb-4">{error}</p>}
+
+        {/* Cached models */}
+        <h3 className="text-sm font-medium text-gray-300 mb-2">
+          Downloaded models
+        </h3>
+        {models === null ? (
+          <p className="text-sm text-gray-500 mb-4">Loading…</p>
+        ) : models.length === 0 ? (
+          <p className="text-sm text-gray-500 mb-4">No models downloaded yet.</p>
+        ) : (
+          <ul className="space-y-2 mb-4">
+            {models.map((model) => (
+              <li
+                key={model.id}
+                className="flex items-center gap-3 rounded-xl bg-slate-800/50 px-3 py-2"
+              >
+                <div className="flex-1 min-w-0">
+                  <div className="text-sm text-white truncate" title={model.id}>
+                    {model.name}
+                  </div>
+                  <div className="text-xs text-gray-400">
+                    {formatBytes(model.size)}
+                    {model.dtypes.length > 0 && ` · ${model.dtypes.join(", ")}`}
+                    {` · ${model.files.length} files`}
+                  </div>
+                </div>
+                <button
+                  className="text-xs rounded-lg px-2 py-1 text-red-300 hover:bg-red-500/20 cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+                  onClick={() => onDelete(model.id)}
+                  disabled={model.id === loadedModelId || downloads !== null}
+                  title={
+                    model.id === loadedModelId
+                      ? "This model is in use"
+                      : "Delete the files of this model"
+                  }
+                >
+                  🗑️ Delete
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {/* Pre-download */}
+        <h3 className="text-sm font-medium text-gray-300 mb-2">
+          Download for offline use
+        </h3>
+        <div className="flex flex-wrap items-center gap-2 mb-3">
+          <ModelPicker
+            modelId={target.id}
+            dtype={target.dtype}
+            device={device}
+            disabled={downloads !== null}
+            onChange={(id, dtype) =>
+              setTarget({
+                id,
+                dtype: dtype ?? getDefaultDtype(getModel(id), device),
+              })
+            }
+          />
+          {downloads === null ? (
+            <button
+              className="btn-premium rounded-xl px-4 py-2 text-sm font-medium text-white"
+              onClick={onDownload}
+            >
+              Download
+            </button>
+          ) : (
+            <button
+              className="rounded-xl px-4 py-2 text-sm text-gray-300 hover:text-white cursor-pointer"
+              onClick={() => download.current?.abort()}
+            >
+              Cancel
+            </button>
+          )}
+        </div>
+        {downloads !== null &&
+          Object.entries(downloads).map(([file, { loaded, total }]) => (
+            <Progress
+              key={file}
+              text={file}
+              percentage={total > 0 ? (loaded / total) * 100 : 0}
+              total={total}
+            />
+          ))}
+      </div>
+    </div>
+  );
+}
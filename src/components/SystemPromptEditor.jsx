@@ -0,0 +1,117 @@
+import { useState } from "react";
+
+import { deletePersona, listPersonas, savePersona } from "../lib/personas";
+
+export default function SystemPromptEditor({ systemPrompt, onSave, onClose }) {
+  const [prompt, setPrompt] = useState(systemPrompt);
+  const [personas, setPersonas] = useState(listPersonas);
+  const [personaName, setPersonaName] = useState("");
+
+  const onSavePersona = () => {
+    const name = personaName.trim();
+    if (!name || !prompt.trim()) return;
+    savePersona(name, prompt.trim());
+    setPersonas(listPersonas());
+    setPersonaName("");
+  };
+
+  const onDeletePersona = (name) => {
+    deletePersona(name);
+    setPersonas(listPersonas());
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-40 flex items-center justify-center bg-black/60 backdrop-blur-sm"
+      onClick={onClose}
+    >
+      <div
+        className="glass-card rounded-2xl p-6 w-full max-w-2xl mx-4 max-h-[90vh] overflow-y-auto scrollbar-thin"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-semibold text-gradient">System prompt</h2>
+          <button
+            className="text-gray-400 hover:text-white cursor-pointer"
+            onClick={onClose}
+            title="Close"
+          >
+            ✕
+          </button>
+        </div>
+
+        <textarea
+          className="ai-input w-full rounded-xl px-4 py-3 text-white placeholder-gray-400 focus:outline-none text-sm min-h-32"
+          placeholder="Standing instructions for the assistant, e.g. 'Always answer in French.'"
+          value={prompt}
+          onChange={(e) => setPrompt(e.target.value)}
+          autoFocus
+        />
+
+        {/* Personas */}
+        <h3 className="text-sm font-semibold text-white mt-4 mb-2">Personas</h3>
+        <div className="space-y-2 mb-3">
+          {personas.map((persona) => (
+            <div
+              key={persona.name}
+              className="modern-card rounded-xl px-3 py-2 flex items-center gap-3"
+            >
+              <button
+                className="flex-1 min-w-0 text-left cursor-pointer"
+                onClick={() => setPrompt(persona.prompt)}
+                title="Use this persona"
+              >
+                <div className="text-sm text-white font-medium">
+                  {persona.name}
+                </div>
+                <div className="text-xs text-white/50 truncate">
+                  {persona.prompt}
+                </div>
+              </button>
+              {!persona.builtin && (
+                <button
+                  className="text-xs text-gray-400 hover:text-red-400 cursor-pointer"
+                  onClick={() => onDeletePersona(persona.name)}
+                  title="Delete persona"
+                >
+                  🗑️
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+        <div className="flex gap-2 mb-6">
+          <input
+            className="flex-1 bg-slate-800/80 rounded-lg px-3 py-2 text-sm text-white focus:outline-none"
+            placeholder="Save current prompt as persona…"
+            value={personaName}
+            onChange={(e) => setPersonaName(e.target.value)}
+            onKeyDown={(e) => e.key === "Enter" && onSavePersona()}
+          />
+          <button
+            className="rounded-lg px-3 py-2 text-sm bg-gray-700/50 text-gray-300 hover:bg-gray-600/50 hover:text-white cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+            onClick={onSavePersona}
+            disabled={!personaName.trim() || !prompt.trim()}
+          >
+            Save
+          </button>
+        </div>
+
+        <div className="flex justify-end gap-3">
+          <button
+            className="rounded-xl px-4 py-2 text-sm text-gray-300 hover:text-white cursor-pointer"
+            onClick={onClose}
+          >
+            Cancel
+          </button>
+          <button
+            className="btn-premium rounded-xl px-4 py-2 text-sm font-medium text-white"
+            onClick={() => onSave(prompt.trim())}
+          >
+            Apply
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
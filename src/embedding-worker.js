@@ -0,0 +1,49 @@
+import { pipeline } from "@huggingface/transformers";
+
+/**
+ * Dedicated worker computing sentence embeddings of document chunks and
+ * questions. The model is small and runs on the CPU, so that it does not
+ * compete with the chat model for the GPU.
+ */
+const MODEL_ID = "Xenova/all-MiniLM-L6-v2";
+const BATCH_SIZE = 16;
+
+let extractor_promise = null;
+
+function getExtractor() {
+  extractor_promise ??= pipeline("feature-extraction", MODEL_ID, {
+    device: "wasm",
+    dtype: "q8",
+  }).catch((error) => {
+    extractor_promise = null;
+    throw error;
+  });
+  return extractor_promise;
+}
+
+async function embed(id, texts) {
+  const extractor = await getExtractor();
+  const vectors = [];
+  for (let i = 0; i < texts.length; i += BATCH_SIZE) {
+    const output = await extractor(texts.slice(i, i + BATCH_SIZE), {
+      pooling: "mean",
+      normalize: true,
+    });
+    const [count, dims] = output.dims;
+    for (let j = 0; j < count; ++j) {
+      vectors.push(output.data.slice(j * dims, (j + 1) * dims));
+    }
+    self.postMessage({ type: "progress", id, done: vectors.length });
+  }
+  return vectors;
+}
+
+self.addEventListener("message", async (e) => {
+  const { type, id, texts } = e.data;
+  if (type !== "embed") return;
+  try {
+    self.postMessage({ type: "result", id, vectors: await embed(id, texts) });
+  } catch (error) {
+    self.postMessage({ type: "error", id, text: error.message });
+  }
+});
@@ -0,0 +1,37 @@
+/**
+ * Async iterable of the values pushed to it, until `end()` or `fail(error)`.
+ * Values are kept until the consumer asks for them.
+ */
+export function createQueue() {
+  const values = [];
+  let wake = () => {};
+  let ended = false;
+  let failure = null;
+  return {
+    push(value) {
+      values.push(value);
+      wake();
+    },
+    end() {
+      ended = true;
+      wake();
+    },
+    fail(error) {
+      failure = error;
+      wake();
+    },
+    async *[Symbol.asyncIterator]() {
+      for (;;) {
+        if (values.length > 0) {
+          yield values.shift();
+        } else if (failure) {
+          throw failure;
+        } else if (ended) {
+          return;
+        } else {
+          await new Promise((resolve) => (wake = resolve));
+        }
+      }
+    },
+  };
+}
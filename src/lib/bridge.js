@@ -0,0 +1,169 @@
+import { createQueue } from "./async-queue";
+
+/**
+ * Bridge exposing the chat client of openai.js to other pages, through a
+ * `BroadcastChannel` (other tabs of this origin) or `postMessage` (frames and
+ * windows of allowed origins). Messages:
+ *
+ *   {type: "request", id, params}   create(params) in the serving page
+ *   {type: "cancel", id}            abort the request
+ *   {type: "response", id, response}
+ *   {type: "chunk", id, chunk}      streamed chunks, then {type: "done", id}
+ *   {type: "error", id, name, message}
+ */
+export const CHANNEL_NAME = "private-talk-api";
+
+/**
+ * Serve the requests of other pages with `client`. Only one tab serves the
+ * channel at a time. Returns a function that stops serving.
+ */
+export function serveBridge(
+  client,
+  { channelName = CHANNEL_NAME, allowedOrigins = [location.origin] } = {},
+) {
+  const controllers = new Map();
+
+  async function handle(message, reply) {
+    const { type, id, params } = message ?? {};
+    if (type === "cancel") {
+      controllers.get(id)?.abort();
+      return;
+    }
+    if (type !== "request" || controllers.has(id)) return;
+
+    const controller = new AbortController();
+    controllers.set(id, controller);
+    try {
+      const result = await client.chat.completions.create(params, {
+        signal: controller.signal,
+      });
+      if (params.stream) {
+        for await (const chunk of result) reply({ type: "chunk", id, chunk });
+        reply({ type: "done", id });
+      } else {
+        reply({ type: "response", id, response: result });
+      }
+    } catch (error) {
+      reply({ type: "error", id, name: error.name, message: error.message });
+    } finally {
+      controllers.delete(id);
+    }
+  }
+
+  const stopped = new AbortController();
+  const serveChannel = () => {
+    const channel = new BroadcastChannel(channelName);
+    channel.addEventListener("message", (e) =>
+      handle(e.data, (message) => channel.postMessage(message)),
+    );
+    stopped.signal.addEventListener("abort", () => channel.close());
+  };
+  if (navigator.locks) {
+    // Other tabs wait for the lock, so that each request is answered once.
+    navigator.locks
+      .request(channelName, { signal: stopped.signal }, () => {
+        serveChannel();
+        return new Promise((resolve) =>
+          stopped.signal.addEventListener("abort", resolve),
+        );
+      })
+      .catch(() => {}); // Stopped while waiting
+  } else {
+    serveChannel();
+  }
+
+  const onWindowMessage = (e) => {
+    if (!e.source || !allowedOrigins.includes(e.origin)) return;
+    handle(e.data, (message) => e.source.postMessage(message, e.origin));
+  };
+  window.addEventListener("message", onWindowMessage);
+
+  return () => {
+    stopped.abort();
+    window.removeEventListener("message", onWindowMessage);
+    controllers.forEach((controller) => controller.abort());
+  };
+}
+
+/**
+ * Client for a page serving the bridge, with the same `chat.completions.create`
+ * as openai.js. Connects through the channel, or to the `target` window (e.g.
+ * an iframe's `contentWindow`) of `origin`.
+ */
+export function connectBridge({
+  target = null,
+  origin = location.origin,
+  channelName = CHANNEL_NAME,
+} = {}) {
+  const channel = target ? null : new BroadcastChannel(channelName);
+  const source = channel ?? window;
+  const send = (message) =>
+    channel
+      ? channel.postMessage(message)
+      : target.postMessage(message, origin);
+
+  async function create(params, { signal } = {}) {
+    signal?.throwIfAborted();
+    const id = crypto.randomUUID();
+    const queue = createQueue();
+
+    const onMessage = (e) => {
+      if (!channel && (e.source !== target || e.origin !== origin)) return;
+      const message = e.data;
+      if (message?.id !== id) return;
+      switch (message.type) {
+        case "chunk":
+          queue.push(message.chunk);
+          break;
+        case "response":
+          queue.push(message.response);
+          queue.end();
+          break;
+        case "done":
+          queue.end();
+          break;
+        case "error": {
+          const error = new Error(message.message);
+          error.name = message.name;
+          queue.fail(error);
+          break;
+        }
+      }
+    };
+    const onAbort = () => {
+      send({ type: "cancel", id });
+      queue.fail(signal.reason);
+    };
+    const cleanup = () => {
+      source.removeEventListener("message", onMessage);
+      signal?.removeEventListener("abort", onAbort);
+    };
+    source.addEventListener("message", onMessage);
+    signal?.addEventListener("abort", onAbort);
+    send({ type: "request", id, params });
+
+    if (!params.stream) {
+      try {
+        // The response is the only value
+        for await (const response of queue) return response;
+      } finally {
+        cleanup();
+      }
+    }
+    return (async function* () {
+      let done = false;
+      try {
+        for await (const chunk of queue) yield chunk;
+        done = true;
+      } finally {
+        if (!done && !signal?.aborted) send({ type: "cancel", id });
+        cleanup();
+      }
+    })();
+  }
+
+  return {
+    chat: { completions: { create } },
+    close: () => channel?.close(),
+  };
+}
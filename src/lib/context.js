@@ -0,0 +1,180 @@
+/**
+ * Strategies for fitting a conversation into the model's context window.
+ */
+export const CONTEXT_STRATEGIES = {
+  drop_oldest: "Drop oldest turns",
+  strip_reasoning: "Strip earlier reasoning",
+  summarize: "Summarize older turns",
+};
+
+// A reasoning block, possibly unterminated if generation was interrupted.
+const THINK_REGEX = /<think>([\s\S]*?)(<\/think>|$)\s*/g;
+
+/**
+ * Remove `<think>...</think>` blocks from an assistant message.
+ */
+export function stripReasoning(content) {
+  return content.replace(THINK_REGEX, "");
+}
+
+// Messages stored before the worker streamed the reasoning separately hold
+// both parts in `content`, split at `answerIndex` or by their <think> tags.
+function splitReasoning({ content, answerIndex }) {
+  if (answerIndex !== undefined) {
+    return {
+      reasoning: content
+        .slice(0, answerIndex)
+        .replace(/<\/?think>/g, "")
+        .trim(),
+      answer: content
+        .slice(answerIndex)
+        .replace(/^\s*<\/think>/, "")
+        .trim(),
+    };
+  }
+  return {
+    reasoning: [...content.matchAll(THINK_REGEX)]
+      .map(([, reasoning]) => reasoning.trim())
+      .join("\n\n"),
+    answer: stripReasoning(content).trim(),
+  };
+}
+
+/**
+ * Convert a stored message to the current format, where `content` is the
+ * answer of an assistant message and `reasoning` its reasoning.
+ */
+export function upgradeMessage(message) {
+  if (message.role !== "assistant" || message.reasoning !== undefined) {
+    return message;
+  }
+  const { reasoning, answer } = splitReasoning(message);
+  const upgraded = { ...message, reasoning, content: answer };
+  delete upgraded.answerIndex;
+  return upgraded;
+}
+
+/**
+ * An assistant message as the model wrote it, reasoning included.
+ */
+export function withReasoning({ content, reasoning }) {
+  return reasoning ? `<think>\n${reasoning}\n</think>\n\n${content}` : content;
+}
+
+// Marks the end of a message to continue in the rendered chat template.
+export const CONTINUE_MARKER = "<|continue|>";
+
+/**
+ * Number of prompt tokens for `messages`, exactly as `generate` will see them.
+ */
+export function countTokens(tokenizer, messages, template_options = {}) {
+  if (messages.at(-1)?.content.endsWith(CONTINUE_MARKER)) {
+    // The prompt ends where the continued message does, with no new turn.
+    const text = tokenizer.apply_chat_template(messages, {
+      ...template_options,
+      tokenize: false,
+    });
+    return tokenizer.encode(text.slice(0, text.lastIndexOf(CONTINUE_MARKER)), {
+      add_special_tokens: false,
+    }).length;
+  }
+  return tokenizer.apply_chat_template(messages, {
+    ...template_options,
+    add_generation_prompt: true,
+    tokenize: true,
+    return_tensor: false,
+    return_dict: false,
+  }).length;
+}
+
+/**
+ * Number of tokens kept free for the answer.
+ */
+export function getPromptBudget(contextLength, max_new_tokens) {
+  return contextLength - Math.min(max_new_tokens, Math.floor(contextLength / 2));
+}
+
+function splitSystem(messages) {
+  return messages[0]?.role === "system"
+    ? [messages[0], messages.slice(1)]
+    : [null, messages];
+}
+
+/**
+ * Drop the oldest turns until the prompt fits. The last user message and
+ * what follows it (e.g. an answer being continued) are always kept. Turns
+ * are dropped so that the history still starts with a user message.
+ */
+function dropOldest(count, messages, budget) {
+  const [system, turns] = splitSystem(messages);
+  const lastUser = turns.findLastIndex((x) => x.role === "user");
+  const last = lastUser === -1 ? turns.length - 1 : lastUser;
+  let start = 0;
+  const build = () => {
+    const kept = turns.slice(start);
+    return system ? [system, ...kept] : kept;
+  };
+  while (start < last && count(build()) > budget) {
+    const next = turns.findIndex((x, i) => i > start && x.role === "user");
+    start = next === -1 ? last : next;
+  }
+  return { messages: build(), removed: start };
+}
+
+/**
+ * Make `messages` fit in `budget` prompt tokens using `strategy`.
+ *
+ * `summarize(messages)` is only called for the "summarize" strategy and must
+ * resolve with a short summary of the given turns. Whatever the strategy,
+ * the oldest turns are dropped as a last resort.
+ *
+ * @returns {Promise<{messages: Object[], promptTokens: number, truncation: Object|null}>}
+ */
+export async function fitContext(
+  tokenizer,
+  messages,
+  { budget, strategy, template_options, summarize },
+) {
+  const count = (x) => countTokens(tokenizer, x, template_options);
+
+  let promptTokens = count(messages);
+  if (promptTokens <= budget) {
+    return { messages, promptTokens, truncation: null };
+  }
+
+  let result = messages;
+  let removed = 0;
+  if (strategy === "strip_reasoning") {
+    // Keep the reasoning of the last turn only (it may be in progress).
+    result = messages.map((x, i) =>
+      x.role === "assistant" && i < messages.length - 1
+        ? { ...x, content: stripReasoning(x.content) }
+        : x,
+    );
+  } else if (strategy === "summarize") {
+    // Summarize everything but the turns that fit in half of the budget.
+    const [system, turns] = splitSystem(messages);
+    const recent = dropOldest(count, turns, Math.floor(budget / 2)).messages;
+    const older = turns.slice(0, turns.length - recent.length);
+    if (older.length > 0) {
+      const summary = await summarize(older);
+      const content = [
+        system?.content,
+        `Summary of the earlier conversation:\n${summary}`,
+      ]
+        .filter(Boolean)
+        .join("\n\n");
+      result = [{ role: "system", content }, ...recent];
+      removed = older.length;
+    }
+  }
+
+  promptTokens = count(result);
+  if (promptTokens > budget) {
+    const dropped = dropOldest(count, result, budget);
+    result = dropped.messages;
+    removed += dropped.removed;
+    promptTokens = count(result);
+  }
+  return { messages: result, promptTokens, truncation: { strategy, removed } };
+}
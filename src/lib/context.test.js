@@ -0,0 +1,65 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { CONTINUE_MARKER, countTokens, fitContext } from "./context.js";
+
+// One token per character of a minimal chat template
+const tokenizer = {
+  apply_chat_template(messages, { add_generation_prompt, tokenize }) {
+    const text =
+      messages.map(({ role, content }) => `<${role}>${content}</>`).join("") +
+      (add_generation_prompt ? "<assistant>" : "");
+    return tokenize ? [...text] : text;
+  },
+  encode: (text) => [...text],
+};
+
+const question = { role: "user", content: "Q".repeat(100) };
+const answer = { role: "assistant", content: "A".repeat(100) };
+const partial = {
+  role: "assistant",
+  content: `${"P".repeat(100)}${CONTINUE_MARKER}`,
+};
+
+describe("countTokens", () => {
+  it("counts a continued message up to the marker, without a new turn", () => {
+    const messages = [{ role: "user", content: "Hi" }, partial];
+    assert.equal(
+      countTokens(tokenizer, messages),
+      "<user>Hi</><assistant>".length + 100,
+    );
+  });
+});
+
+describe("fitContext", () => {
+  const fit = (messages, budget) =>
+    fitContext(tokenizer, messages, { budget, strategy: "drop_oldest" });
+
+  it("drops the oldest turns", async () => {
+    const last = { role: "user", content: "Last" };
+    const { messages, truncation } = await fit(
+      [question, answer, last],
+      countTokens(tokenizer, [last]),
+    );
+    assert.deepEqual(messages, [last]);
+    assert.equal(truncation.removed, 2);
+  });
+
+  it("keeps the question of an answer being continued", async () => {
+    const { messages, truncation } = await fit(
+      [question, answer, question, partial],
+      countTokens(tokenizer, [question, partial]),
+    );
+    assert.deepEqual(messages, [question, partial]);
+    assert.equal(truncation.removed, 2);
+  });
+
+  it("keeps the question of an answer being continued even over budget", async () => {
+    const system = { role: "system", content: "Be brief." };
+    const { messages } = await fit(
+      [system, question, answer, question, partial],
+      10,
+    );
+    assert.deepEqual(messages, [system, question, partial]);
+  });
+});
@@ -0,0 +1,89 @@
+import { upgradeMessage } from "./context";
+import { withStore } from "./db";
+import { createTree, getPath, mapMessages } from "./tree";
+
+const STORE = "conversations";
+const TITLE_LENGTH = 48;
+
+/**
+ * Derive a short title from the first user message of a conversation.
+ */
+export function deriveTitle(messages) {
+  const first = messages.find((x) => x.role === "user");
+  if (!first) return "New chat";
+  const text = first.content.trim().replace(/\s+/g, " ");
+  return text.length > TITLE_LENGTH
+    ? `${text.slice(0, TITLE_LENGTH - 1)}…`
+    : text;
+}
+
+export function createConversation(tree = createTree()) {
+  const now = Date.now();
+  return {
+    id: crypto.randomUUID(),
+    title: deriveTitle(getPath(tree)),
+    createdAt: now,
+    updatedAt: now,
+    tree,
+  };
+}
+
+/**
+ * List all stored conversations, most recently updated first.
+ * Only the metadata is returned; use `getConversation` for the messages.
+ */
+export async function listConversations() {
+  const all = await withStore(STORE, "readonly", (store) => store.getAll());
+  return all
+    .map(({ id, title, createdAt, updatedAt }) => ({
+      id,
+      title,
+      createdAt,
+      updatedAt,
+    }))
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+export async function getConversation(id) {
+  const conversation = await withStore(STORE, "readonly", (store) =>
+    store.get(id),
+  );
+  if (!conversation) return conversation;
+  if (!conversation.tree) {
+    // Conversations saved before branching stored a flat message list.
+    const { messages = [], ...rest } = conversation;
+    return { ...rest, tree: mapMessages(createTree(messages), upgradeMessage) };
+  }
+  return { ...conversation, tree: mapMessages(conversation.tree, upgradeMessage) };
+}
+
+export function saveConversation(conversation) {
+  return withStore(STORE, "readwrite", (store) =>
+    store.put({ ...conversation, updatedAt: Date.now() }),
+  );
+}
+
+/**
+ * Merge `changes` into a stored conversation, creating it if it does not
+ * exist yet. Unrelated fields (e.g. a title renamed meanwhile) are kept.
+ */
+export async function updateConversation(id, changes) {
+  const conversation = (await getConversation(id)) ?? {
+    ...createConversation(changes.tree),
+    id,
+  };
+  await saveConversation({ ...conversation, ...changes });
+}
+
+export async function renameConversation(id, title) {
+  const conversation = await getConversation(id);
+  if (!conversation) return;
+  // Renaming should not move the conversation to the top of the list.
+  await withStore(STORE, "readwrite", (store) =>
+    store.put({ ...conversation, title }),
+  );
+}
+
+export function deleteConversation(id) {
+  return withStore(STORE, "readwrite", (store) => store.delete(id));
+}
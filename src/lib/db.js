@@ -0,0 +1,53 @@
+const DB_NAME = "private-talk";
+const DB_VERSION = 2;
+
+let dbPromise = null;
+
+/**
+ * Open (and lazily upgrade) the app's IndexedDB database.
+ * The connection is shared, so repeated calls are cheap.
+ */
+export function openDB() {
+  dbPromise ??= new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains("conversations")) {
+        const store = db.createObjectStore("conversations", { keyPath: "id" });
+        store.createIndex("updatedAt", "updatedAt");
+      }
+      // Attached documents and their embedded chunks (see documents.js)
+      if (!db.objectStoreNames.contains("documents")) {
+        const store = db.createObjectStore("documents", { keyPath: "id" });
+        store.createIndex("conversationId", "conversationId");
+      }
+      if (!db.objectStoreNames.contains("chunks")) {
+        const store = db.createObjectStore("chunks", { keyPath: "id" });
+        store.createIndex("conversationId", "conversationId");
+        store.createIndex("documentId", "documentId");
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+  return dbPromise;
+}
+
+/**
+ * Run `fn` against an object store and resolve with the result of the
+ * request it returns, once the transaction has completed.
+ */
+export async function withStore(name, mode, fn) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(name, mode);
+    const request = fn(tx.objectStore(name));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
@@ -0,0 +1,268 @@
+import pdfWorkerUrl from "pdfjs-dist/build/pdf.worker.min.mjs?url";
+
+import { withStore } from "./db";
+
+/**
+ * Documents attached to a conversation. Their text is split into chunks,
+ * embedded by the embedding worker and stored in IndexedDB, so that the
+ * chunks closest to each question can be added to the prompt.
+ */
+export const DOCUMENT_TYPES = ".txt,.md,.markdown,.pdf";
+
+// Chunk sizes in characters; the embedding model reads ~256 tokens at most.
+const CHUNK_SIZE = 800;
+const CHUNK_OVERLAP = 150;
+
+// Chunks added to the prompt, and the minimum similarity to the question.
+const MAX_SOURCES = 4;
+const MIN_SCORE = 0.25;
+
+let worker = null;
+let nextId = 0;
+// How to reject each request in progress, by id
+const pending = new Map();
+
+function getWorker() {
+  if (!worker) {
+    worker = new Worker(new URL("../embedding-worker.js", import.meta.url), {
+      type: "module",
+    });
+    // The worker failed to start or crashed: fail its requests and start a
+    // new one next time.
+    worker.addEventListener("error", (e) => {
+      e.preventDefault();
+      const error = new Error(e.message || "The embedding worker crashed");
+      pending.forEach((reject) => reject(error));
+      pending.clear();
+      worker.terminate();
+      worker = null;
+    });
+  }
+  return worker;
+}
+
+/**
+ * Embed `texts` with the embedding worker. `onProgress(done)` is called with
+ * the number of texts embedded so far.
+ *
+ * @returns {Promise<Float32Array[]>} Normalized vectors.
+ */
+function embed(texts, { onProgress = () => {} } = {}) {
+  const id = nextId++;
+  const worker = getWorker();
+  return new Promise((resolve, reject) => {
+    const settle = (callback, value) => {
+      worker.removeEventListener("message", onMessage);
+      pending.delete(id);
+      callback(value);
+    };
+    const onMessage = (e) => {
+      if (e.data.id !== id) return;
+      switch (e.data.type) {
+        case "progress":
+          onProgress(e.data.done);
+          break;
+        case "result":
+          settle(resolve, e.data.vectors);
+          break;
+        case "error":
+          settle(reject, new Error(e.data.text));
+          break;
+      }
+    };
+    pending.set(id, reject);
+    worker.addEventListener("message", onMessage);
+    worker.postMessage({ type: "embed", id, texts });
+  });
+}
+
+/**
+ * Text of `file` by page (`page` is `null` for plain text files).
+ */
+async function readPages(file) {
+  if (!/\.pdf$/i.test(file.name) && file.type !== "application/pdf") {
+    return [{ page: null, text: await file.text() }];
+  }
+
+  const pdfjs = await import("pdfjs-dist");
+  pdfjs.GlobalWorkerOptions.workerSrc = pdfWorkerUrl;
+  const pdf = await pdfjs.getDocument({ data: await file.arrayBuffer() })
+    .promise;
+  try {
+    const pages = [];
+    for (let page = 1; page <= pdf.numPages; ++page) {
+      const { items } = await (await pdf.getPage(page)).getTextContent();
+      const text = items
+        .map((item) => item.str + (item.hasEOL ? "\n" : ""))
+        .join("");
+      pages.push({ page, text });
+    }
+    return pages;
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+// Index at which to end a chunk of `text` starting at `start`, preferably at
+// a paragraph, sentence or word boundary.
+function chunkEnd(text, start) {
+  const end = start + CHUNK_SIZE;
+  if (end >= text.length) return text.length;
+  const tail = text.slice(start + CHUNK_SIZE / 2, end);
+  for (const separator of ["\n\n", ". ", "\n", " "]) {
+    const index = tail.lastIndexOf(separator);
+    if (index >= 0) return start + CHUNK_SIZE / 2 + index + separator.length;
+  }
+  return end;
+}
+
+/**
+ * Split pages into overlapping chunks of about CHUNK_SIZE characters.
+ */
+export function chunkPages(pages) {
+  const chunks = [];
+  for (const { page, text } of pages) {
+    const clean = text
+      .replace(/[ \t]+/g, " ")
+      .replace(/\n\s*\n\s*/g, "\n\n")
+      .trim();
+    let start = 0;
+    while (start < clean.length) {
+      const end = chunkEnd(clean, start);
+      chunks.push({ page, text: clean.slice(start, end).trim() });
+      if (end === clean.length) break;
+      // Start the next chunk at a word boundary within the overlap
+      const next = clean.indexOf(" ", end - CHUNK_OVERLAP);
+      start = next > start && next < end ? next + 1 : end;
+    }
+  }
+  return chunks.filter((chunk) => chunk.text.length > 0);
+}
+
+/**
+ * Read, chunk and embed `file`, and store it with conversation
+ * `conversationId`. `onProgress(fraction)` reports the embedding progress.
+ */
+export async function addDocument(
+  conversationId,
+  file,
+  { onProgress = () => {} } = {},
+) {
+  const chunks = chunkPages(await readPages(file));
+  if (chunks.length === 0) throw new Error("The file contains no text");
+
+  const vectors = await embed(
+    chunks.map((chunk) => chunk.text),
+    { onProgress: (done) => onProgress(done / chunks.length) },
+  );
+
+  const document = {
+    id: crypto.randomUUID(),
+    conversationId,
+    name: file.name,
+    size: file.size,
+    chunks: chunks.length,
+    createdAt: Date.now(),
+  };
+  await withStore("chunks", "readwrite", (store) => {
+    chunks.forEach((chunk, index) =>
+      store.put({
+        ...chunk,
+        id: `${document.id}:${index}`,
+        documentId: document.id,
+        conversationId,
+        name: file.name,
+        index,
+        vector: vectors[index],
+      }),
+    );
+  });
+  await withStore("documents", "readwrite", (store) => store.put(document));
+  return document;
+}
+
+/**
+ * The documents attached to a conversation, oldest first.
+ */
+export async function listDocuments(conversationId) {
+  const documents = await withStore("documents", "readonly", (store) =>
+    store.index("conversationId").getAll(conversationId),
+  );
+  return documents.sort((a, b) => a.createdAt - b.createdAt);
+}
+
+// Delete the records of `store` whose `index` is `key`, in the current
+// transaction.
+function deleteBy(store, index, key) {
+  const request = store.index(index).getAllKeys(key);
+  request.onsuccess = () => request.result.forEach((id) => store.delete(id));
+}
+
+export async function deleteDocument(id) {
+  await withStore("chunks", "readwrite", (store) =>
+    deleteBy(store, "documentId", id),
+  );
+  await withStore("documents", "readwrite", (store) => store.delete(id));
+}
+
+/**
+ * Delete all documents of a conversation, e.g. when it is deleted.
+ */
+export async function deleteDocuments(conversationId) {
+  await withStore("chunks", "readwrite", (store) =>
+    deleteBy(store, "conversationId", conversationId),
+  );
+  await withStore("documents", "readwrite", (store) =>
+    deleteBy(store, "conversationId", conversationId),
+  );
+}
+
+/**
+ * The chunks of the conversation's documents most similar to `question`,
+ * best first, as `{name, page, text, score}`.
+ */
+export async function retrieve(conversationId, question) {
+  const chunks = await withStore("chunks", "readonly", (store) =>
+    store.index("conversationId").getAll(conversationId),
+  );
+  if (chunks.length === 0) return [];
+
+  const [query] = await embed([question]);
+  // The vectors are normalized, so the dot product is the cosine similarity.
+  const score = (vector) =>
+    vector.reduce((sum, value, i) => sum + value * query[i], 0);
+  return chunks
+    .map(({ name, page, text, vector }) => ({
+      name,
+      page,
+      text,
+      score: score(vector),
+    }))
+    .filter((source) => source.score >= MIN_SCORE)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_SOURCES);
+}
+
+/**
+ * Label of a source in citations, e.g. "report.pdf, page 3".
+ */
+export function sourceLabel({ name, page }) {
+  return page ? `${name}, page ${page}` : name;
+}
+
+/**
+ * The question with the retrieved chunks, as sent to the model. Only the
+ * latest question is augmented, so earlier chunks do not fill the context.
+ */
+export function withSources(question, sources) {
+  if (sources.length === 0) return question;
+  const excerpts = sources.map(
+    (source, i) => `[${i + 1}] (${sourceLabel(source)})\n${source.text}`,
+  );
+  return [
+    "Excerpts from the attached documents:",
+    ...excerpts,
+    "Use the excerpts if they are relevant to the question, and cite them by number, e.g. [1].",
+    `Question: ${question}`,
+  ].join("\n\n");
+}
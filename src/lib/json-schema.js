@@ -0,0 +1,309 @@
+/**
+ * Incremental recognizer for JSON documents matching a JSON Schema, used to
+ * constrain decoding one character at a time.
+ *
+ * Supported keywords: `type` (including unions), `enum`, `const`,
+ * `properties`, `required`, `additionalProperties`, `items`, `minItems`,
+ * `maxItems`, `minLength`, `maxLength`, `anyOf` and `oneOf` (treated like
+ * `anyOf`). Other keywords are ignored, so the output may still break them.
+ *
+ * A parse state is a list of alternative stacks of immutable frames, so that
+ * testing a candidate token never modifies the current state.
+ */
+
+const TYPES = ["object", "array", "string", "number", "boolean", "null"];
+const WHITESPACE = " \t\n\r";
+const DIGITS = "0123456789";
+const ESCAPES = '"\\/bfnrt';
+const HEX_DIGITS = "0123456789abcdefABCDEF";
+
+// Limits that keep the model from padding forever
+const MAX_WHITESPACE = 40;
+const MAX_NUMBER_LENGTH = 32;
+const MAX_KEY_LENGTH = 100;
+
+// Number grammar: next phase by phase and character class. The phases in
+// NUMBER_ENDS can end the number.
+const NUMBER_PHASES = {
+  start: { "-": "minus", 0: "zero", 1: "int" },
+  minus: { 0: "zero", 1: "int" },
+  zero: { ".": "dot", e: "e" },
+  int: { 0: "int", 1: "int", ".": "dot", e: "e" },
+  dot: { 0: "frac", 1: "frac" },
+  frac: { 0: "frac", 1: "frac", e: "e" },
+  e: { "+": "sign", "-": "sign", 0: "exp", 1: "exp" },
+  sign: { 0: "exp", 1: "exp" },
+  exp: { 0: "exp", 1: "exp" },
+};
+const NUMBER_ENDS = ["zero", "int", "frac", "exp"];
+
+function push(frame, next) {
+  return { frame, next };
+}
+
+function typesOf(schema) {
+  if (schema.type) return [].concat(schema.type);
+  if (schema.properties) return ["object"];
+  if (schema.items) return ["array"];
+  return TYPES;
+}
+
+/**
+ * The frames that can start a value of `schema`.
+ */
+function startFrames(schema) {
+  if (schema === true || schema === undefined) return startFrames({});
+  if (schema === false) return [];
+  if (schema.anyOf || schema.oneOf) {
+    return (schema.anyOf ?? schema.oneOf).flatMap((option) =>
+      startFrames({ ...schema, anyOf: undefined, oneOf: undefined, ...option }),
+    );
+  }
+  if ("const" in schema || schema.enum) {
+    const values = "const" in schema ? [schema.const] : schema.enum;
+    return values.map((value) => ({
+      kind: "literal",
+      text: JSON.stringify(value),
+      pos: 0,
+    }));
+  }
+
+  return typesOf(schema).flatMap((type) => {
+    switch (type) {
+      case "object":
+        return [{ kind: "object", schema, phase: "open", keys: [], key: "" }];
+      case "array":
+        return [{ kind: "array", schema, phase: "open", count: 0 }];
+      case "string":
+        return [{ kind: "string", schema, open: false, length: 0, escape: null }];
+      case "number":
+      case "integer":
+        return [{ kind: "number", integer: type === "integer", phase: "start", length: 0 }];
+      case "boolean":
+        return ["true", "false"].map((text) => ({ kind: "literal", text, pos: 0 }));
+      case "null":
+        return [{ kind: "literal", text: "null", pos: 0 }];
+      default:
+        return [];
+    }
+  });
+}
+
+/**
+ * The stack left once the value on top of `next` is complete.
+ */
+function complete(next) {
+  const { frame } = next;
+  switch (frame.kind) {
+    case "object":
+      return push({ ...frame, phase: "after" }, next.next);
+    case "array":
+      return push({ ...frame, phase: "after", count: frame.count + 1 }, next.next);
+    default:
+      return next;
+  }
+}
+
+function propertySchema(schema, key) {
+  if (schema.properties && key in schema.properties) {
+    return schema.properties[key];
+  }
+  return schema.additionalProperties ?? true;
+}
+
+function allowsKey(schema, keys, key) {
+  if (keys.includes(key)) return false;
+  if (schema.properties && key in schema.properties) return true;
+  return schema.additionalProperties !== false;
+}
+
+// Whether some allowed key starts with `prefix`
+function allowsKeyPrefix(schema, keys, prefix) {
+  if (schema.additionalProperties !== false) {
+    return prefix.length <= MAX_KEY_LENGTH;
+  }
+  return Object.keys(schema.properties ?? {}).some(
+    (key) => !keys.includes(key) && key.startsWith(prefix),
+  );
+}
+
+function hasRequired(schema, keys) {
+  return (schema.required ?? []).every((key) => keys.includes(key));
+}
+
+function hasMoreKeys(schema, keys) {
+  return allowsKeyPrefix(schema, keys, "");
+}
+
+function stepObject(frame, c, next) {
+  const { schema, phase, keys, key } = frame;
+  const stay = (changes) => [push({ ...frame, ...changes }, next)];
+  if (phase === "open") return c === "{" ? stay({ phase: "start" }) : [];
+  if (phase === "key") {
+    if (c === '"') {
+      return allowsKey(schema, keys, key)
+        ? stay({ phase: "colon", keys: [...keys, key] })
+        : [];
+    }
+    // Keys are restricted to plain characters
+    if (c === "\\" || c < " ") return [];
+    return allowsKeyPrefix(schema, keys, key + c) ? stay({ key: key + c }) : [];
+  }
+  if (WHITESPACE.includes(c)) return stay({});
+
+  switch (phase) {
+    case "start":
+      if (c === "}") return hasRequired(schema, keys) ? [complete(next)] : [];
+      if (c === '"' && hasMoreKeys(schema, keys)) return stay({ phase: "key", key: "" });
+      return [];
+    case "comma":
+      return c === '"' ? stay({ phase: "key", key: "" }) : [];
+    case "colon":
+      if (c !== ":") return [];
+      return [
+        push(
+          { kind: "value", schema: propertySchema(schema, keys.at(-1)) },
+          push({ ...frame, phase: "value" }, next),
+        ),
+      ];
+    case "after":
+      if (c === "," && hasMoreKeys(schema, keys)) return stay({ phase: "comma" });
+      if (c === "}" && hasRequired(schema, keys)) return [complete(next)];
+      return [];
+    default:
+      return [];
+  }
+}
+
+function stepArray(frame, c, next) {
+  const { schema, phase, count } = frame;
+  const { minItems = 0, maxItems = Infinity } = schema;
+  if (phase === "open") {
+    return c === "[" ? [push({ ...frame, phase: "start" }, next)] : [];
+  }
+  if (WHITESPACE.includes(c)) return [push(frame, next)];
+
+  const item = push(
+    { kind: "value", schema: schema.items ?? true },
+    push({ ...frame, phase: "value" }, next),
+  );
+  switch (phase) {
+    case "start":
+      if (c === "]") return minItems <= 0 ? [complete(next)] : [];
+      return maxItems > 0 ? step(item, c) : [];
+    case "after":
+      if (c === "," && count < maxItems) return [item];
+      if (c === "]" && count >= minItems) return [complete(next)];
+      return [];
+    default:
+      return [];
+  }
+}
+
+function stepString(frame, c, next) {
+  const { schema, open, length, escape } = frame;
+  const { minLength = 0, maxLength = Infinity } = schema;
+  const stay = (changes) => [push({ ...frame, ...changes }, next)];
+  if (!open) return c === '"' ? stay({ open: true }) : [];
+
+  if (escape === null) {
+    if (c === '"') return length >= minLength ? [complete(next)] : [];
+    if (c < " " || length >= maxLength) return [];
+    return c === "\\" ? stay({ escape: "" }) : stay({ length: length + 1 });
+  }
+  if (escape === "") {
+    if (ESCAPES.includes(c)) return stay({ escape: null, length: length + 1 });
+    return c === "u" ? stay({ escape: "u" }) : [];
+  }
+  // \uXXXX
+  if (!HEX_DIGITS.includes(c)) return [];
+  return escape.length === 4
+    ? stay({ escape: null, length: length + 1 })
+    : stay({ escape: escape + c });
+}
+
+function stepNumber(frame, c, next) {
+  const { integer, phase, length } = frame;
+  const symbol = DIGITS.includes(c) ? (c === "0" ? "0" : "1") : c.toLowerCase();
+  const to = NUMBER_PHASES[phase][symbol];
+  if (to && !(integer && ["dot", "e"].includes(to))) {
+    return length < MAX_NUMBER_LENGTH
+      ? [push({ ...frame, phase: to, length: length + 1 }, next)]
+      : [];
+  }
+  // The character after a number belongs to the enclosing value
+  return NUMBER_ENDS.includes(phase) ? step(complete(next), c) : [];
+}
+
+function step(stack, c) {
+  const { frame, next } = stack;
+  switch (frame.kind) {
+    case "value":
+      if (WHITESPACE.includes(c)) return [stack];
+      return startFrames(frame.schema).flatMap((start) =>
+        step(push(start, next), c),
+      );
+    case "literal":
+      if (frame.text[frame.pos] !== c) return [];
+      return frame.pos + 1 === frame.text.length
+        ? [complete(next)]
+        : [push({ ...frame, pos: frame.pos + 1 }, next)];
+    case "object":
+      return stepObject(frame, c, next);
+    case "array":
+      return stepArray(frame, c, next);
+    case "string":
+      return stepString(frame, c, next);
+    case "number":
+      return stepNumber(frame, c, next);
+    default:
+      // The document is complete
+      return [];
+  }
+}
+
+/**
+ * Parse state before any output for documents matching `schema`.
+ */
+export function createState(schema) {
+  const end = push({ kind: "end" }, null);
+  return { stacks: [push({ kind: "value", schema }, end)], blank: 0 };
+}
+
+/**
+ * The state after `text`, or `null` if `text` cannot continue a matching
+ * document.
+ */
+export function advance(state, text) {
+  let { stacks, blank } = state;
+  for (const c of text) {
+    if (WHITESPACE.includes(c) && stacks.every((s) => s.frame.kind !== "string")) {
+      if (++blank > MAX_WHITESPACE) return null;
+    } else {
+      blank = 0;
+    }
+    stacks = stacks.flatMap((stack) => step(stack, c));
+    if (stacks.length === 0) return null;
+  }
+  return { stacks, blank };
+}
+
+/**
+ * Whether the output so far is a complete document.
+ */
+export function isComplete(state) {
+  return state.stacks.some(
+    ({ frame, next }) =>
+      frame.kind === "end" ||
+      (frame.kind === "number" &&
+        NUMBER_ENDS.includes(frame.phase) &&
+        next.frame.kind === "end"),
+  );
+}
+
+/**
+ * Whether the output can only end here, so the model must stop.
+ */
+export function isFinished(state) {
+  return state.stacks.every(({ frame }) => frame.kind === "end");
+}
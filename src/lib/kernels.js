@@ -0,0 +1,200 @@
+import { createContext, useSyncExternalStore } from "react";
+import { restartPythonKernel, runPython } from "./python";
+import { restartJavaScript, runJavaScript } from "./sandbox";
+
+/**
+ * Notebook-like kernels: the code blocks of a conversation share one kernel,
+ * so what a block defines can be used by the blocks run after it. Kernels are
+ * identified by conversation id, provided to code blocks by KernelContext
+ * together with `onSendOutput(observation)`, which sends the output of a run
+ * back to the model (`null` while it is generating).
+ */
+export const KernelContext = createContext({
+  id: "default",
+  onSendOutput: null,
+});
+
+const OUTPUT_PREFIXES = {
+  log: "LOG: ",
+  info: "LOG: ",
+  debug: "LOG: ",
+  warn: "WARN: ",
+  error: "ERROR: ",
+  stdout: "",
+  stderr: "ERROR: ",
+};
+
+// The model only sees the end of very long outputs
+const MAX_OBSERVATION_LENGTH = 4000;
+
+const CODE_BLOCK_REGEX = /```(\w+)?\n?([\s\S]*?)```/g;
+
+const RUNNERS = {
+  javascript: runJavaScript,
+  python: runPython,
+};
+
+// Execution counter and generation (bumped on restart) of each kernel
+const EMPTY_KERNEL = { count: 0, generation: 0 };
+const kernels = new Map();
+const listeners = new Set();
+
+// Kernels with Python globals. All kernels share one Python interpreter, so
+// restarting it discards the globals of each of them.
+const pythonKernels = new Set();
+
+function getKernel(id) {
+  return kernels.get(id) ?? EMPTY_KERNEL;
+}
+
+function updateKernel(id, fn) {
+  kernels.set(id, fn(getKernel(id)));
+  listeners.forEach((listener) => listener());
+  return getKernel(id);
+}
+
+function bumpGeneration(id) {
+  updateKernel(id, (kernel) => ({
+    count: 0,
+    generation: kernel.generation + 1,
+  }));
+}
+
+function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Current `{count, generation}` of kernel `id`. Executions of an older
+ * generation ran before the last restart, so their state is gone.
+ */
+export function useKernel(id) {
+  return useSyncExternalStore(subscribe, () => getKernel(id));
+}
+
+export function hasKernel(language) {
+  return language in RUNNERS;
+}
+
+/**
+ * Run `code` in kernel `id`. `onExecution({count, generation})` is called
+ * right away with the execution count of this run; the other options are
+ * passed to the language runner.
+ */
+export async function executeInKernel(
+  id,
+  language,
+  code,
+  { onExecution = () => {}, ...options } = {},
+) {
+  const { count, generation } = updateKernel(id, (kernel) => ({
+    ...kernel,
+    count: kernel.count + 1,
+  }));
+  onExecution({ count, generation });
+  if (language === "python") pythonKernels.add(id);
+
+  try {
+    return await RUNNERS[language](code, { ...options, kernel: id });
+  } catch (error) {
+    // The runner had to kill the interpreter, losing the kernel's state
+    if (error.restarted) {
+      const restarted = language === "python" ? [...pythonKernels] : [id];
+      if (language === "python") pythonKernels.clear();
+      restarted.forEach(bumpGeneration);
+    }
+    throw error;
+  }
+}
+
+
+/**
+ * Run `code` in kernel `id` and collect its output. `onUpdate(run)` is called
+ * with the partial result whenever output arrives.
+ *
+ * @returns {Promise<{text: string, displays: Object[], error: Error|null}>}
+ */
+export async function runCell(
+  id,
+  language,
+  code,
+  { onUpdate = () => {}, ...options } = {},
+) {
+  const lines = [];
+  const run = { text: "", displays: [], error: null };
+  const update = (changes) => {
+    Object.assign(run, changes);
+    onUpdate({ ...run });
+  };
+
+  try {
+    const result = await executeInKernel(id, language, code, {
+      ...options,
+      onOutput: (level, text) => {
+        lines.push(`${OUTPUT_PREFIXES[level] ?? ""}${text}`);
+        update({ text: lines.join("\n") });
+      },
+      onDisplay: (display) => update({ displays: [...run.displays, display] }),
+    });
+    if (result !== null) lines.push(`Return value: ${result}`);
+  } catch (error) {
+    run.error = error;
+  }
+  run.text = lines.join("\n");
+  return run;
+}
+
+/**
+ * The runnable code blocks of a message, in order.
+ */
+export function findCodeBlocks(text) {
+  return [...text.matchAll(CODE_BLOCK_REGEX)]
+    .map(([, language = "", code]) => ({
+      language: language.toLowerCase(),
+      code: code.trim(),
+    }))
+    .filter((block) => hasKernel(block.language));
+}
+
+/**
+ * Describe a run for the model, as the content of a "tool" message.
+ */
+export function formatObservation(language, { text, displays, error }) {
+  let output = text.trim();
+  if (output.length > MAX_OBSERVATION_LENGTH) {
+    output = `...\n${output.slice(-MAX_OBSERVATION_LENGTH)}`;
+  }
+
+  const parts = [`Output of the ${language} code:`];
+  parts.push(output ? `\`\`\`\n${output}\n\`\`\`` : "(no output)");
+  for (const display of displays) {
+    parts.push(
+      display.type === "image"
+        ? "[A figure was displayed]"
+        : `[A table with ${display.total} rows and columns ${display.columns.slice(1).join(", ")} was displayed]`,
+    );
+  }
+  if (error) parts.push(`Error: ${error.message}`);
+  return parts.join("\n");
+}
+
+/**
+ * Discard all state of kernel `id` and reset its execution counter.
+ */
+export function restartKernel(id) {
+  restartJavaScript(id);
+  restartPythonKernel(id);
+  pythonKernels.delete(id);
+  bumpGeneration(id);
+}
+
+/**
+ * Free the resources of kernel `id`, e.g. when its conversation is deleted.
+ */
+export function shutdownKernel(id) {
+  restartJavaScript(id);
+  restartPythonKernel(id);
+  pythonKernels.delete(id);
+  kernels.delete(id);
+}
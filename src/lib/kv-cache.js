@@ -0,0 +1,91 @@
+import { Tensor } from "@huggingface/transformers";
+
+/**
+ * Key/value cache of the previous generation, together with the token ids it
+ * was computed from. A new prompt only reuses the part of the cache whose
+ * tokens still match, so editing or dropping earlier turns never conditions
+ * the model on stale keys/values.
+ */
+export class KVCache {
+  past_key_values = null;
+  token_ids = [];
+
+  /**
+   * Return the cached key/values that are valid for `input_ids` (trimmed to
+   * the common prefix if needed), or `null` if nothing can be reused.
+   * Ownership passes to the caller: `generate` disposes the tensors it is
+   * given, so the cache is emptied until the next `update`.
+   * @param {bigint[]} input_ids
+   */
+  async take(input_ids) {
+    if (!this.past_key_values) return null;
+
+    // At least one token must be left for the model to process.
+    const limit = Math.min(this.token_ids.length, input_ids.length - 1);
+    let length = 0;
+    while (length < limit && this.token_ids[length] === input_ids[length]) {
+      ++length;
+    }
+
+    if (length === 0) {
+      this.clear();
+    } else if (length < this.token_ids.length) {
+      await this.trim(length);
+    }
+
+    const { past_key_values } = this;
+    this.past_key_values = null;
+    this.token_ids = [];
+    return past_key_values;
+  }
+
+  /**
+   * Store the key/values returned by `generate` for `sequence` (the prompt
+   * and the generated tokens).
+   * @param {bigint[]} sequence
+   */
+  update(past_key_values, sequence) {
+    this.past_key_values = past_key_values;
+    const length = Object.values(past_key_values)[0]?.dims.at(-2) ?? 0;
+    this.token_ids = sequence.slice(0, length);
+  }
+
+  /**
+   * Drop everything after the first `length` tokens.
+   */
+  async trim(length) {
+    const names = Object.keys(this.past_key_values);
+    if (names.some((name) => !name.startsWith("past_key_values"))) {
+      // Recurrent/convolutional state (hybrid models) cannot be rewound.
+      this.clear();
+      return;
+    }
+
+    const trimmed = {};
+    for (const name of names) {
+      const tensor = this.past_key_values[name];
+      // [batch_size, num_heads, sequence_length, head_dim]
+      const cpu =
+        tensor.location === "gpu-buffer"
+          ? new Tensor(
+              tensor.type,
+              await tensor.ort_tensor.getData(true),
+              tensor.dims,
+            )
+          : tensor;
+      trimmed[name] = cpu.slice(null, null, [0, length], null);
+    }
+    this.past_key_values = trimmed;
+    this.token_ids = this.token_ids.slice(0, length);
+  }
+
+  clear() {
+    for (const tensor of Object.values(this.past_key_values ?? {})) {
+      if (tensor.location === "gpu-buffer") {
+        tensor.dispose();
+      }
+    }
+    this.past_key_values = null;
+    this.token_ids = [];
+  }
+}
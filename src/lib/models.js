@@ -0,0 +1,70 @@
+/**
+ * Catalog of the models that can be loaded in the worker.
+ *
+ * - `dtypes`: quantizations published for the model, in order of preference.
+ * - `contextLength`: maximum number of tokens (prompt + generation).
+ * - `thinking`: whether the chat template supports `enable_thinking` and the
+ *   model emits `<think>...</think>` blocks.
+ * - `tools`: whether the chat template accepts `tools` and the model calls
+ *   them with `<tool_call>` blocks.
+ */
+export const MODELS = [
+  {
+    id: "onnx-community/Qwen3-0.6B-ONNX",
+    name: "Qwen3-0.6B",
+    description: "a cutting-edge 0.6B parameter reasoning model",
+    dtypes: ["q4f16", "q4", "q8", "fp16"],
+    contextLength: 32768,
+    thinking: true,
+    tools: true,
+  },
+  {
+    id: "onnx-community/Qwen3-1.7B-ONNX",
+    name: "Qwen3-1.7B",
+    description: "a larger 1.7B parameter reasoning model",
+    dtypes: ["q4f16", "q4", "q8", "fp16"],
+    contextLength: 32768,
+    thinking: true,
+    tools: true,
+  },
+  {
+    id: "HuggingFaceTB/SmolLM2-360M-Instruct",
+    name: "SmolLM2-360M",
+    description: "a tiny 360M parameter instruction-tuned model",
+    dtypes: ["q4f16", "q4", "q8", "fp16"],
+    contextLength: 8192,
+    thinking: false,
+    tools: false,
+  },
+];
+
+export const DEFAULT_MODEL_ID = MODELS[0].id;
+
+/**
+ * Preferred dtype for each backend. fp16 weights only pay off on the GPU; on
+ * CPU the plain 4-bit quantization is both smaller and faster.
+ */
+const BACKEND_DTYPES = {
+  webgpu: "q4f16",
+  wasm: "q4",
+};
+
+export function getModel(id) {
+  return MODELS.find((x) => x.id === id) ?? MODELS[0];
+}
+
+/**
+ * The dtypes of `model` that make sense on `device`.
+ */
+export function getDtypes(model, device) {
+  return device === "webgpu"
+    ? model.dtypes
+    : model.dtypes.filter((x) => !x.includes("16"));
+}
+
+export function getDefaultDtype(model, device) {
+  const dtypes = getDtypes(model, device);
+  return dtypes.includes(BACKEND_DTYPES[device])
+    ? BACKEND_DTYPES[device]
+    : dtypes[0];
+}
@@ -0,0 +1,320 @@
+import { createQueue } from "./async-queue";
+import { splitToolCalls } from "./tool-calls";
+
+/**
+ * OpenAI-compatible chat completions API over the generation worker:
+ *
+ *   const client = createChatClient(worker, { getModel });
+ *   const completion = await client.chat.completions.create({ messages });
+ *   const stream = await client.chat.completions.create({
+ *     messages,
+ *     stream: true,
+ *   });
+ *   for await (const chunk of stream) console.log(chunk.choices[0]?.delta);
+ *
+ * Requests are queued by the worker with the chat's, under their own `id`
+ * and key/value cache slot. The model reasons only when `reasoning_effort`
+ * is set to something other than "none" or "minimal".
+ */
+
+const CACHE_SLOT = "api";
+
+const TOOL_CALL_TAG = "<tool_call>";
+
+// Text of a message `content`, which may be an array of content parts.
+function textOf(content) {
+  if (!Array.isArray(content)) return content ?? "";
+  return content
+    .filter((part) => part.type === "text")
+    .map((part) => part.text)
+    .join("\n");
+}
+
+/**
+ * The worker `generate` data for the parameters of `create`.
+ */
+function toRequest({
+  messages,
+  n = 1,
+  temperature,
+  top_p,
+  seed,
+  max_tokens,
+  max_completion_tokens,
+  stop,
+  response_format,
+  tools = [],
+  tool_choice,
+  reasoning_effort,
+}) {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    throw new TypeError("`messages` must be a non-empty array");
+  }
+  if (n !== 1) throw new Error("Only one choice (`n: 1`) is supported");
+
+  const settings = {};
+  if (temperature === 0) {
+    settings.do_sample = false;
+  } else if (temperature !== undefined) {
+    settings.temperature = temperature;
+  }
+  if (top_p !== undefined) settings.top_p = top_p;
+  if (seed !== undefined) settings.seed = seed;
+  const max_new_tokens = max_completion_tokens ?? max_tokens;
+  if (max_new_tokens !== undefined) settings.max_new_tokens = max_new_tokens;
+  if (stop) settings.stop = [].concat(stop);
+  if (response_format?.type === "json_object") {
+    settings.json_mode = true;
+    settings.json_schema = "";
+  } else if (response_format?.type === "json_schema") {
+    settings.json_mode = true;
+    settings.json_schema = JSON.stringify(
+      response_format.json_schema?.schema ?? {},
+    );
+  }
+
+  // System (and developer) messages make up the system prompt.
+  const isSystem = (message) => ["system", "developer"].includes(message.role);
+  const systemPrompt = messages
+    .filter(isSystem)
+    .map((message) => textOf(message.content))
+    .join("\n\n");
+  return {
+    messages: messages
+      .filter((message) => !isSystem(message))
+      .map(({ role, content, tool_calls }) =>
+        // The chat template renders OpenAI-shaped tool calls as is.
+        tool_calls
+          ? { role, content: textOf(content), tool_calls }
+          : { role, content: textOf(content) },
+      ),
+    reasonEnabled:
+      reasoning_effort !== undefined &&
+      !["none", "minimal"].includes(reasoning_effort),
+    settings,
+    systemPrompt,
+    tools: tool_choice === "none" ? [] : tools,
+  };
+}
+
+/**
+ * The answer without its tool call blocks. While `streaming`, the answer
+ * ends before the first `stop` string, and a trailing part of
+ * "<tool_call>" or of a stop string is held back.
+ */
+function visibleText(answer, { streaming = false, stop = [] } = {}) {
+  let text = splitToolCalls(answer)
+    .filter((part) => part.type === "text")
+    .map((part) => part.content)
+    .join("")
+    .trimStart();
+  if (!streaming) return text.trimEnd();
+  for (const tag of stop) {
+    const index = text.indexOf(tag);
+    if (index >= 0) text = text.slice(0, index);
+  }
+  for (const tag of [TOOL_CALL_TAG, ...stop]) {
+    for (let i = Math.min(tag.length - 1, text.length); i > 0; --i) {
+      if (tag.startsWith(text.slice(-i))) {
+        text = text.slice(0, -i);
+        break;
+      }
+    }
+  }
+  return text;
+}
+
+function toToolCall(id, { name, arguments: args }, index) {
+  return {
+    id: `call_${id.slice(-8)}_${index}`,
+    type: "function",
+    function: { name, arguments: JSON.stringify(args) },
+  };
+}
+
+// OpenAI's finish reason for the worker's
+function finishReason(toolCalls, finish_reason) {
+  if (toolCalls.length > 0) return "tool_calls";
+  return finish_reason === "length" ? "length" : "stop";
+}
+
+function toUsage({ promptTokens, numTokens }) {
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: numTokens,
+    total_tokens: promptTokens + numTokens,
+  };
+}
+
+/**
+ * Client for the generation `worker`. `getModel()` returns the id of the
+ * loaded model, or `null` while none is ready.
+ */
+export function createChatClient(worker, { getModel }) {
+  // Run a generation; `onMessage` receives its other messages (e.g.
+  // "update" and "tool_call"). Aborting cancels the request.
+  function generate(id, data, { signal, onMessage = () => {} } = {}) {
+    signal?.throwIfAborted();
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        worker.postMessage({ type: "cancel", data: { id } });
+        reject(signal.reason);
+      };
+      const cleanup = () => {
+        worker.removeEventListener("message", onWorkerMessage);
+        signal?.removeEventListener("abort", onAbort);
+      };
+      const onWorkerMessage = (e) => {
+        if (e.data.id !== id) return;
+        switch (e.data.status) {
+          case "complete":
+            cleanup();
+            resolve(e.data);
+            break;
+          case "error":
+            cleanup();
+            reject(new Error(e.data.message));
+            break;
+          case "cancelled":
+            cleanup();
+            reject(new DOMException("The request was cancelled", "AbortError"));
+            break;
+          default:
+            if (!signal?.aborted) onMessage(e.data);
+        }
+      };
+      worker.addEventListener("message", onWorkerMessage);
+      signal?.addEventListener("abort", onAbort);
+      worker.postMessage({
+        type: "generate",
+        data: { ...data, id, slot: CACHE_SLOT },
+      });
+    });
+  }
+
+  async function complete(id, model, created, data, { signal }) {
+    const result = await generate(id, data, { signal });
+    const toolCalls = result.toolCalls.filter((call) => !call.error);
+    const content = visibleText(result.answer);
+    const message = { role: "assistant", content };
+    if (result.reasoning) message.reasoning_content = result.reasoning;
+    if (toolCalls.length > 0) {
+      message.content = content || null;
+      message.tool_calls = toolCalls.map((call, i) => toToolCall(id, call, i));
+    }
+    return {
+      id,
+      object: "chat.completion",
+      created,
+      model,
+      choices: [
+        {
+          index: 0,
+          message,
+          finish_reason: finishReason(toolCalls, result.finish_reason),
+          logprobs: null,
+        },
+      ],
+      usage: toUsage(result),
+    };
+  }
+
+  // The generation starts right away; its messages are queued until the
+  // consumer asks for the next chunk. Leaving the stream early stops it.
+  function stream(id, model, created, data, { signal, includeUsage }) {
+    const chunk = (delta, finish_reason = null) => ({
+      id,
+      object: "chat.completion.chunk",
+      created,
+      model,
+      choices: [{ index: 0, delta, finish_reason, logprobs: null }],
+      ...(includeUsage ? { usage: null } : {}),
+    });
+
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(signal.reason);
+    signal?.addEventListener("abort", onAbort);
+    const queue = createQueue();
+    generate(id, data, {
+      signal: controller.signal,
+      onMessage: (message) => queue.push(message),
+    }).then((result) => {
+      queue.push(result);
+      queue.end();
+    }, queue.fail);
+
+    return (async function* () {
+      let answer = "";
+      let sent = 0;
+      let toolCalls = 0;
+      try {
+        yield chunk({ role: "assistant", content: "" });
+        for await (const message of queue) {
+          if (message.status === "update") {
+            if (message.answerReset) {
+              // Already streamed as content; it is repeated as reasoning.
+              answer = "";
+              sent = 0;
+            }
+            if (message.thinking) {
+              yield chunk({ reasoning_content: message.thinking });
+            }
+            answer += message.answer;
+            const text = visibleText(answer, {
+              streaming: true,
+              stop: data.settings.stop,
+            });
+            if (text.length > sent) {
+              yield chunk({ content: text.slice(sent) });
+              sent = text.length;
+            }
+          } else if (message.status === "tool_call" && !message.call.error) {
+            const { id: callId, ...call } = toToolCall(
+              id,
+              message.call,
+              toolCalls,
+            );
+            yield chunk({
+              tool_calls: [{ index: toolCalls++, id: callId, ...call }],
+            });
+          } else if (message.status === "complete") {
+            const text = visibleText(message.answer);
+            if (text.length > sent) yield chunk({ content: text.slice(sent) });
+            const calls = message.toolCalls.filter((call) => !call.error);
+            yield chunk({}, finishReason(calls, message.finish_reason));
+            if (includeUsage) {
+              yield { ...chunk({}), choices: [], usage: toUsage(message) };
+            }
+          }
+        }
+      } finally {
+        signal?.removeEventListener("abort", onAbort);
+        controller.abort();
+      }
+    })();
+  }
+
+  /**
+   * Create a chat completion from OpenAI-style `params`. With `stream: true`,
+   * resolves to an async iterable of "chat.completion.chunk" objects.
+   */
+  async function create(params, { signal } = {}) {
+    const model = getModel();
+    if (!model) throw new Error("No model is loaded");
+    if (params.model && params.model !== model) {
+      throw new Error(`The loaded model is ${model}, not ${params.model}`);
+    }
+    const data = toRequest(params);
+    const id = `chatcmpl-${crypto.randomUUID()}`;
+    const created = Math.floor(Date.now() / 1000);
+    if (params.stream) {
+      return stream(id, model, created, data, {
+        signal,
+        includeUsage: params.stream_options?.include_usage ?? false,
+      });
+    }
+    return complete(id, model, created, data, { signal });
+  }
+
+  return { chat: { completions: { create } } };
+}
@@ -0,0 +1,62 @@
+const STORAGE_KEY = "private-talk:personas";
+
+/**
+ * Personas shipped with the app. They cannot be deleted, only shadowed by a
+ * saved persona of the same name.
+ */
+export const BUILTIN_PERSONAS = [
+  {
+    name: "Terse code reviewer",
+    prompt:
+      "You are a senior software engineer reviewing code. Point out bugs, risky patterns and missing edge cases first, then style issues. Be terse: use short bullet points and skip praise.",
+  },
+  {
+    name: "Math tutor",
+    prompt:
+      "You are a patient math tutor. Explain each step of a solution, check the student's reasoning instead of just giving the answer, and write formulas in LaTeX.",
+  },
+  {
+    name: "Concise assistant",
+    prompt:
+      "You are a helpful assistant. Answer as concisely as possible while staying accurate.",
+  },
+];
+
+function loadSaved() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) ?? [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * List all personas: saved ones first, then the built-in ones that are not
+ * shadowed by a saved persona.
+ */
+export function listPersonas() {
+  const saved = loadSaved().map((x) => ({ ...x, builtin: false }));
+  const names = new Set(saved.map((x) => x.name));
+  return [
+    ...saved,
+    ...BUILTIN_PERSONAS.filter((x) => !names.has(x.name)).map((x) => ({
+      ...x,
+      builtin: true,
+    })),
+  ];
+}
+
+export function savePersona(name, prompt) {
+  const saved = loadSaved().filter((x) => x.name !== name);
+  localStorage.setItem(
+    STORAGE_KEY,
+    JSON.stringify([{ name, prompt }, ...saved]),
+  );
+}
+
+export function deletePersona(name) {
+  localStorage.setItem(
+    STORAGE_KEY,
+    JSON.stringify(loadSaved().filter((x) => x.name !== name)),
+  );
+}
@@ -0,0 +1,141 @@
+/**
+ * Messages between the main thread (App.jsx) and the generation worker
+ * (worker.js). Requests are `{type, data}`, events are `{status, ...fields}`.
+ *
+ * The main thread starts with a "hello" request and compares the version of
+ * the worker's reply, since a cached worker script may outlive an update of
+ * the page.
+ */
+export const PROTOCOL_VERSION = 2;
+
+/**
+ * Fields of the `data` of each request and of each event, by type. A
+ * trailing "?" marks optional fields (which may also be `null`).
+ */
+export const REQUESTS = {
+  hello: { version: "number" },
+  check: {},
+  load: { model_id: "string?", dtype: "string?" },
+  switch_model: { model_id: "string", dtype: "string?" },
+  generate: {
+    id: "string",
+    slot: "string?",
+    messages: "array",
+    continueMessage: "boolean?",
+    reasonEnabled: "boolean?",
+    settings: "object?",
+    systemPrompt: "string?",
+    tools: "array?",
+  },
+  cancel: { id: "string" },
+  reset: { slot: "string?" },
+};
+
+export const EVENTS = {
+  hello: { version: "number" },
+  backend: { data: "object" },
+  loading: { data: "string" },
+  // Model file progress, reported by Transformers.js
+  initiate: { file: "string" },
+  download: { file: "string" },
+  progress: { file: "string", progress: "number?" },
+  done: { file: "string" },
+  ready: { data: "object?" },
+  queued: { id: "string", position: "number" },
+  cancelled: { id: "string" },
+  summarizing: { id: "string" },
+  context: {
+    id: "string",
+    promptTokens: "number",
+    contextLength: "number",
+    truncation: "object?",
+  },
+  start: { id: "string", format: "string", continued: "boolean?" },
+  update: {
+    id: "string",
+    thinking: "string",
+    answer: "string",
+    answerReset: "boolean?",
+    tps: "number?",
+    numTokens: "number",
+    state: "string",
+  },
+  tool_call: { id: "string", call: "object" },
+  complete: {
+    id: "string",
+    reasoning: "string",
+    answer: "string",
+    toolCalls: "array",
+    promptTokens: "number",
+    numTokens: "number",
+    // "stop", "stop_sequence", "length" or "interrupted"
+    finish_reason: "string",
+  },
+  error: {
+    id: "string?",
+    phase: "string",
+    message: "string",
+    recoverable: "boolean",
+  },
+};
+
+/**
+ * Steps that can fail, as the `phase` of "error" events, with the title
+ * under which their errors are shown. "protocol" and "worker" errors are
+ * detected by the main thread.
+ */
+export const PHASES = {
+  protocol: "Incompatible app version",
+  worker: "The model worker crashed",
+  load: "Unable to load the model",
+  warmup: "Unable to start the model",
+  generate: "Unable to generate an answer",
+};
+
+function typeOf(value) {
+  return Array.isArray(value) ? "array" : typeof value;
+}
+
+function check(schemas, name, fields) {
+  const schema = schemas[name];
+  if (!schema) return `Unknown message type "${name}"`;
+  for (const [field, spec] of Object.entries(schema)) {
+    const optional = spec.endsWith("?");
+    const type = optional ? spec.slice(0, -1) : spec;
+    const value = fields[field];
+    if (value === undefined || value === null) {
+      if (!optional) return `Field "${field}" of "${name}" is missing`;
+    } else if (typeOf(value) !== type) {
+      return `Field "${field}" of "${name}" must be of type ${type}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Why request `{type, data}` is invalid, or `null` if it is valid.
+ */
+export function validateRequest({ type, data } = {}) {
+  return check(REQUESTS, type, data ?? {});
+}
+
+/**
+ * Why `event` is invalid, or `null` if it is valid.
+ */
+export function validateEvent(event = {}) {
+  return check(EVENTS, event.status, event);
+}
+
+/**
+ * The "error" event for `error` in `phase`. Recoverable errors leave the
+ * worker usable, so that the failed step can be retried.
+ */
+export function errorEvent(phase, error, { id, recoverable = true } = {}) {
+  return {
+    status: "error",
+    id,
+    phase,
+    message: error?.message ?? String(error),
+    recoverable,
+  };
+}
@@ -0,0 +1,180 @@
+import { version as PYODIDE_VERSION } from "pyodide/package.json";
+import { getExecutionTimeout } from "./sandbox";
+
+/**
+ * Where the Pyodide runtime and package wheels are loaded from. Defaults to
+ * the app's own origin; set `VITE_PYODIDE_BASE_URL` to use a mirror instead
+ * (e.g. `https://cdn.jsdelivr.net/pyodide/v<version>/full/`). The version is
+ * pinned by the `pyodide` dependency in package.json.
+ */
+const PYODIDE_INDEX_URL = new URL(
+  import.meta.env.VITE_PYODIDE_BASE_URL ||
+    `${import.meta.env.BASE_URL}pyodide/`,
+  location.href,
+).href;
+
+// How long an interrupted run may take to stop before Python is restarted.
+const INTERRUPT_GRACE = 1000;
+
+let worker = null;
+let interruptBuffer = null;
+let nextId = 0;
+let queue = Promise.resolve();
+
+function getWorker() {
+  if (!worker) {
+    worker = new Worker(new URL("../python-worker.js", import.meta.url), {
+      type: "module",
+    });
+    // Interrupting a running snippet needs shared memory, which is only
+    // available when the page is cross-origin isolated (see vite.config.js).
+    // Otherwise stopping a snippet restarts Python.
+    interruptBuffer = canInterruptPython()
+      ? new Uint8Array(new SharedArrayBuffer(1))
+      : null;
+    worker.postMessage({
+      type: "init",
+      indexURL: PYODIDE_INDEX_URL,
+      version: PYODIDE_VERSION,
+      interruptBuffer,
+    });
+  }
+  return worker;
+}
+
+/**
+ * Whether running Python code can be interrupted, rather than restarting
+ * Python and losing every kernel's globals.
+ */
+export function canInterruptPython() {
+  return self.crossOriginIsolated === true;
+}
+
+/**
+ * Discard the globals of `kernel`. Other kernels are not affected.
+ */
+export function restartPythonKernel(kernel) {
+  worker?.postMessage({ type: "restart", kernel });
+}
+
+// Terminate the Python worker. The next run starts a fresh interpreter.
+function terminatePython() {
+  worker?.terminate();
+  worker = null;
+  interruptBuffer = null;
+}
+
+function execute(
+  kernel,
+  code,
+  {
+    timeout = getExecutionTimeout(),
+    onOutput = () => {},
+    onLoading = () => {},
+    onDisplay = () => {},
+    signal,
+  } = {},
+) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new Error("Execution stopped"));
+
+    const worker = getWorker();
+    const id = nextId++;
+    let timer = null;
+    let stopped = null;
+
+    const finish = (callback, value) => {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
+      worker.removeEventListener("message", onMessage);
+      worker.removeEventListener("error", onError);
+      callback(value);
+    };
+
+    // Raise KeyboardInterrupt in Python, and restart the interpreter if that
+    // is not possible or it does not stop in time.
+    const stop = (message) => {
+      const kill = () => {
+        // Without shared memory, restarting is the only way to stop Python
+        const reason = interruptBuffer
+          ? "Python was restarted"
+          : "Python was restarted, as it cannot be interrupted on a page that is not cross-origin isolated";
+        terminatePython();
+        finish(
+          reject,
+          Object.assign(new Error(`${message} (${reason})`), {
+            restarted: true,
+          }),
+        );
+      };
+      clearTimeout(timer);
+      if (!interruptBuffer || stopped) return kill();
+      stopped = message;
+      interruptBuffer[0] = 2;
+      timer = setTimeout(kill, INTERRUPT_GRACE);
+    };
+    const onAbort = () => stop("Execution stopped");
+
+    const onMessage = (e) => {
+      if (e.data.id !== id) return;
+      switch (e.data.type) {
+        case "loading":
+          onLoading(e.data.text);
+          break;
+        case "started":
+          // Loading Python and packages does not count towards the timeout
+          onLoading(null);
+          if (timeout > 0 && !stopped) {
+            timer = setTimeout(
+              () => stop(`Execution timed out after ${timeout / 1000} seconds`),
+              timeout,
+            );
+          }
+          break;
+        case "stdout":
+        case "stderr":
+          onOutput(e.data.type, e.data.text);
+          break;
+        case "display":
+          onDisplay(e.data.output);
+          break;
+        case "result":
+          finish(resolve, e.data.text);
+          break;
+        case "error":
+          finish(reject, new Error(stopped ?? e.data.text));
+          break;
+      }
+    };
+    const onError = (e) => {
+      e.preventDefault();
+      terminatePython();
+      finish(
+        reject,
+        Object.assign(new Error(e.message || "Python worker failed"), {
+          restarted: true,
+        }),
+      );
+    };
+
+    signal?.addEventListener("abort", onAbort);
+    worker.addEventListener("message", onMessage);
+    worker.addEventListener("error", onError);
+    worker.postMessage({ type: "run", id, kernel, code });
+  });
+}
+
+/**
+ * Run Python with Pyodide in a worker shared by all code blocks. Each kernel
+ * has its own globals, which persist across its runs.
+ *
+ * Runs are queued, so snippets never interleave. Accepts the same options as
+ * `runJavaScript`, plus `onLoading(text)` for progress while Pyodide and the
+ * imported packages load (`null` once the code starts running).
+ * Matplotlib figures and DataFrame results are passed to `onDisplay`.
+ */
+export function runPython(code, { kernel = "default", ...options } = {}) {
+  const run = queue.then(() => execute(kernel, code, options));
+  queue = run.catch(() => {});
+  return run;
+}
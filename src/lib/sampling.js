@@ -0,0 +1,148 @@
+import { LogitsProcessor } from "@huggingface/transformers";
+
+import { advance, createState, isComplete, isFinished } from "./json-schema";
+
+/**
+ * Return the indices of the `k` largest values of `data`, largest first.
+ * `k` is small in practice (top_k), so an insertion list beats sorting the
+ * whole vocabulary on every step.
+ */
+function topIndices(data, k) {
+  if (k <= 0 || k >= data.length) {
+    return Array.from(data.keys()).sort((a, b) => data[b] - data[a]);
+  }
+  const top = [];
+  for (let i = 0; i < data.length; ++i) {
+    const value = data[i];
+    if (top.length === k && value <= data[top[k - 1]]) continue;
+    let pos = top.length;
+    while (pos > 0 && data[top[pos - 1]] < value) --pos;
+    top.splice(pos, 0, i);
+    if (top.length > k) top.pop();
+  }
+  return top;
+}
+
+/**
+ * Applies temperature, top-p and min-p filtering to the logits.
+ *
+ * Transformers.js only applies `top_k` when sampling, so the remaining
+ * warpers are implemented here and passed to `generate` as a logits processor.
+ */
+export class SamplingLogitsProcessor extends LogitsProcessor {
+  constructor({ temperature = 1, top_k = 0, top_p = 1, min_p = 0 }) {
+    super();
+    this.temperature = temperature;
+    this.top_k = top_k;
+    this.top_p = top_p;
+    this.min_p = min_p;
+  }
+
+  _call(input_ids, logits) {
+    for (let i = 0; i < input_ids.length; ++i) {
+      this.warp(/** @type {Float32Array} */ (logits[i].data));
+    }
+    return logits;
+  }
+
+  warp(data) {
+    if (this.temperature > 0 && this.temperature !== 1) {
+      for (let i = 0; i < data.length; ++i) {
+        data[i] /= this.temperature;
+      }
+    }
+    if (this.top_p >= 1 && this.min_p <= 0) return;
+
+    // Probabilities of the candidate tokens (most likely first).
+    const candidates = topIndices(data, this.top_k);
+    const max = data[candidates[0]];
+    const probs = candidates.map((i) => Math.exp(data[i] - max));
+    const sum = probs.reduce((a, b) => a + b, 0);
+
+    const kept = [];
+    let cumulative = 0;
+    for (let j = 0; j < candidates.length; ++j) {
+      const p = probs[j] / sum;
+      if (j > 0 && (cumulative >= this.top_p || p < this.min_p * (probs[0] / sum))) {
+        break;
+      }
+      kept.push([candidates[j], data[candidates[j]]]);
+      cumulative += p;
+    }
+
+    data.fill(-Infinity);
+    for (const [i, value] of kept) {
+      data[i] = value;
+    }
+  }
+}
+
+/**
+ * Restricts the output to JSON documents matching `schema` (see
+ * json-schema.js), ending with one of `eos_token_ids`.
+ *
+ * `tokens` holds the text of each token id (`null` for special tokens and
+ * partial characters). Checking the whole vocabulary on every step is slow,
+ * so the `candidates` most likely tokens are checked first, and the rest only
+ * if none of them fits. Only supports a batch size of 1.
+ */
+export class JsonSchemaLogitsProcessor extends LogitsProcessor {
+  constructor(schema, { tokens, eos_token_ids, candidates = 64 }) {
+    super();
+    this.state = createState(schema);
+    this.tokens = tokens;
+    this.eos_token_ids = eos_token_ids;
+    this.candidates = candidates;
+    this.consumed = null;
+  }
+
+  _call(input_ids, logits) {
+    const ids = input_ids[0];
+    // The first call only sees the prompt.
+    this.consumed ??= ids.length;
+    for (; this.consumed < ids.length; ++this.consumed) {
+      const text = this.tokens[Number(ids[this.consumed])];
+      if (text) this.state = advance(this.state, text) ?? this.state;
+    }
+    this.constrain(/** @type {Float32Array} */ (logits[0].data));
+    return logits;
+  }
+
+  constrain(data) {
+    const fits = (i) =>
+      Boolean(this.tokens[i]) && advance(this.state, this.tokens[i]) !== null;
+
+    const allowed = new Set();
+    if (!isFinished(this.state)) {
+      for (const i of topIndices(data, this.candidates)) {
+        if (fits(i)) allowed.add(i);
+      }
+      if (allowed.size === 0) {
+        for (let i = 0; i < data.length; ++i) {
+          if (fits(i)) allowed.add(i);
+        }
+      }
+    }
+    if (allowed.size === 0 || isComplete(this.state)) {
+      this.eos_token_ids.forEach((i) => allowed.add(i));
+    }
+
+    for (let i = 0; i < data.length; ++i) {
+      if (!allowed.has(i)) data[i] = -Infinity;
+    }
+  }
+}
+
+/**
+ * Deterministic PRNG (mulberry32) used to make sampling reproducible.
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
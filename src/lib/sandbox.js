@@ -0,0 +1,192 @@
+// The sandbox worker's code, which has no imports
+import WORKER_SOURCE from "../sandbox-worker.js?raw";
+
+const TIMEOUT_STORAGE_KEY = "private-talk:execution-timeout";
+
+export const EXECUTION_TIMEOUTS = [5000, 10000, 30000, 60000, 0];
+export const DEFAULT_EXECUTION_TIMEOUT = 10000;
+
+/**
+ * Maximum run time of a code block in milliseconds (`0` means no limit).
+ */
+export function getExecutionTimeout() {
+  const saved = localStorage.getItem(TIMEOUT_STORAGE_KEY);
+  return saved !== null && EXECUTION_TIMEOUTS.includes(Number(saved))
+    ? Number(saved)
+    : DEFAULT_EXECUTION_TIMEOUT;
+}
+
+export function setExecutionTimeout(timeout) {
+  localStorage.setItem(TIMEOUT_STORAGE_KEY, String(timeout));
+}
+
+// Sandbox workers by kernel id, the runs queued for each of them, and how to
+// cancel the run in progress.
+const workers = new Map();
+const queues = new Map();
+const cancels = new Map();
+
+// Runs in the sandbox frame: starts the worker and relays its messages.
+const FRAME_SCRIPT = `
+const url = URL.createObjectURL(
+  new Blob([SOURCE], { type: "text/javascript" }),
+);
+const worker = new Worker(url, { type: "module" });
+worker.addEventListener("message", (e) => parent.postMessage(e.data, "*"));
+worker.addEventListener("error", (e) => {
+  e.preventDefault();
+  parent.postMessage({ type: "crash", text: e.message }, "*");
+});
+addEventListener("message", (e) => {
+  if (e.source === parent) worker.postMessage(e.data);
+});
+parent.postMessage({ type: "ready" }, "*");
+`;
+
+/**
+ * Start a sandbox worker inside a `sandbox="allow-scripts"` iframe. The frame
+ * has an opaque origin, and so does the worker: it cannot reach the app's
+ * storage, its BroadcastChannels (e.g. the API bridge) or same-origin
+ * requests. Returns an object with the API of a `Worker`, whose "error"
+ * events report crashes.
+ */
+function createSandbox() {
+  const frame = document.createElement("iframe");
+  frame.sandbox = "allow-scripts";
+  frame.hidden = true;
+  // JSON may hold "</script>", which must not close the script element
+  const source = JSON.stringify(WORKER_SOURCE).replaceAll("<", "\\u003c");
+  frame.srcdoc = `<script type="module">const SOURCE = ${source};${FRAME_SCRIPT}</script>`;
+
+  const sandbox = new EventTarget();
+  // Requests sent before the frame is ready
+  let pending = [];
+  const onMessage = (e) => {
+    if (e.source !== frame.contentWindow) return;
+    const { type, text } = e.data ?? {};
+    if (type === "ready") {
+      pending.forEach((data) => frame.contentWindow.postMessage(data, "*"));
+      pending = null;
+    } else if (type === "crash") {
+      sandbox.dispatchEvent(new ErrorEvent("error", { message: text }));
+    } else {
+      sandbox.dispatchEvent(new MessageEvent("message", { data: e.data }));
+    }
+  };
+  window.addEventListener("message", onMessage);
+  document.body.append(frame);
+
+  sandbox.postMessage = (data) =>
+    pending ? pending.push(data) : frame.contentWindow.postMessage(data, "*");
+  sandbox.terminate = () => {
+    window.removeEventListener("message", onMessage);
+    frame.remove();
+  };
+  return sandbox;
+}
+
+function getWorker(kernel) {
+  if (!workers.has(kernel)) workers.set(kernel, createSandbox());
+  return workers.get(kernel);
+}
+
+/**
+ * Terminate the sandbox worker of `kernel`, discarding its globals.
+ */
+export function restartJavaScript(kernel) {
+  workers.get(kernel)?.terminate();
+  workers.delete(kernel);
+  cancels.get(kernel)?.();
+}
+
+function execute(
+  kernel,
+  code,
+  {
+    timeout = getExecutionTimeout(),
+    onOutput = () => {},
+    onDisplay = () => {},
+    signal,
+  } = {},
+) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new Error("Execution stopped"));
+
+    const worker = getWorker(kernel);
+    let timer = null;
+    const finish = (callback, value) => {
+      clearTimeout(timer);
+      cancels.delete(kernel);
+      signal?.removeEventListener("abort", onAbort);
+      worker.removeEventListener("message", onMessage);
+      worker.removeEventListener("error", onError);
+      callback(value);
+    };
+    // Terminating the worker is the only way to stop synchronous code
+    const kill = (message) => {
+      finish(
+        reject,
+        Object.assign(new Error(`${message} (JavaScript state was reset)`), {
+          restarted: true,
+        }),
+      );
+      restartJavaScript(kernel);
+    };
+    const onAbort = () => kill("Execution stopped");
+
+    const onMessage = (e) => {
+      switch (e.data.type) {
+        case "console":
+          onOutput(e.data.level, e.data.text);
+          break;
+        case "display":
+          onDisplay(e.data.output);
+          break;
+        case "result":
+          finish(resolve, e.data.text);
+          break;
+        case "error":
+          finish(reject, new Error(e.data.text));
+          break;
+      }
+    };
+    const onError = (e) => {
+      e.preventDefault();
+      kill(e.message || "Sandbox worker failed");
+    };
+
+    if (timeout > 0) {
+      timer = setTimeout(
+        () => kill(`Execution timed out after ${timeout / 1000} seconds`),
+        timeout,
+      );
+    }
+    cancels.set(kernel, () => finish(reject, new Error("Kernel restarted")));
+    signal?.addEventListener("abort", onAbort);
+    worker.addEventListener("message", onMessage);
+    worker.addEventListener("error", onError);
+    worker.postMessage({ type: "run", code });
+  });
+}
+
+/**
+ * Run JavaScript in the sandbox worker of `kernel`.
+ *
+ * Top-level declarations persist across the runs of a kernel, and runs are
+ * queued so that they never interleave. Console output is streamed through
+ * `onOutput(level, text)`, and tables (from `console.table` or an array of
+ * objects as the result) through `onDisplay(output)`. Resolves with the formatted return value (or
+ * `null`), and rejects if the code throws, exceeds `timeout` milliseconds,
+ * or `signal` is aborted. In the last two cases the worker is terminated,
+ * which also stops infinite loops, and the error has `restarted` set.
+ */
+export function runJavaScript(code, { kernel = "default", ...options } = {}) {
+  const run = (queues.get(kernel) ?? Promise.resolve()).then(() =>
+    execute(kernel, code, options),
+  );
+  queues.set(
+    kernel,
+    run.catch(() => {}),
+  );
+  return run;
+}
@@ -0,0 +1,128 @@
+import { CONTEXT_STRATEGIES } from "./context";
+
+/**
+ * Generation settings presets. Every preset defines all sampling fields, so
+ * applying one fully replaces the previous values (except for the seed).
+ */
+export const PRESETS = {
+  precise: {
+    do_sample: true,
+    temperature: 0.3,
+    top_k: 10,
+    top_p: 0.8,
+    min_p: 0.05,
+    repetition_penalty: 1.0,
+  },
+  balanced: {
+    do_sample: true,
+    temperature: 0.7,
+    top_k: 20,
+    top_p: 0.8,
+    min_p: 0,
+    repetition_penalty: 1.0,
+  },
+  creative: {
+    do_sample: true,
+    temperature: 1.0,
+    top_k: 50,
+    top_p: 0.95,
+    min_p: 0,
+    repetition_penalty: 1.1,
+  },
+};
+
+export const DEFAULT_SETTINGS = {
+  ...PRESETS.balanced,
+  max_new_tokens: 16384,
+  // `null` means a different random seed for every generation.
+  seed: null,
+  // How to fit long conversations into the context window (see context.js).
+  context_strategy: "drop_oldest",
+  // Only send the answer of earlier assistant turns back to the model, as
+  // recommended for Qwen3.
+  strip_reasoning: true,
+  // Run the code blocks of each answer and send their output back to the
+  // model, at most `max_execution_rounds` times per user message.
+  auto_execute: false,
+  max_execution_rounds: 3,
+  // Let models that support it call the tools of tools.js.
+  enable_tools: true,
+  // Constrain answers to JSON matching `json_schema` (any JSON if empty).
+  json_mode: false,
+  json_schema: "",
+  // Strings that end the answer when generated (not included in it).
+  stop: [],
+};
+
+/**
+ * Return the name of the preset matching `settings`, if any.
+ */
+export function findPreset(settings) {
+  return Object.keys(PRESETS).find((name) =>
+    Object.entries(PRESETS[name]).every(([key, value]) => settings[key] === value),
+  );
+}
+
+/**
+ * Allowed values of the numeric settings, as offered by the settings panel.
+ */
+export const SETTING_RANGES = {
+  temperature: { min: 0.05, max: 2 },
+  top_k: { min: 0, max: 100, integer: true },
+  top_p: { min: 0.05, max: 1 },
+  min_p: { min: 0, max: 0.5 },
+  repetition_penalty: { min: 1, max: 2 },
+  max_new_tokens: { min: 64, max: 16384, integer: true },
+  max_execution_rounds: { min: 1, max: 10, integer: true },
+};
+
+function isValidSetting(key, value) {
+  switch (key) {
+    case "seed":
+      return value === null || Number.isSafeInteger(value);
+    case "stop":
+      return Array.isArray(value) && value.every((x) => typeof x === "string");
+    case "context_strategy":
+      return Object.hasOwn(CONTEXT_STRATEGIES, value);
+    case "json_schema":
+      try {
+        const schema = JSON.parse(value.trim() || "{}");
+        return (
+          typeof schema === "object" &&
+          schema !== null &&
+          !Array.isArray(schema)
+        );
+      } catch {
+        return false;
+      }
+  }
+  if (typeof value !== typeof DEFAULT_SETTINGS[key]) return false;
+  const range = SETTING_RANGES[key];
+  return (
+    !range ||
+    ((!range.integer || Number.isInteger(value)) &&
+      value >= range.min &&
+      value <= range.max)
+  );
+}
+
+/**
+ * The known settings of untrusted `settings` (e.g. from an imported file),
+ * with the default value of those that are missing or invalid. Returns
+ * `null` if `settings` is not an object.
+ */
+export function sanitizeSettings(settings) {
+  if (
+    typeof settings !== "object" ||
+    settings === null ||
+    Array.isArray(settings)
+  ) {
+    return null;
+  }
+  return Object.fromEntries(
+    Object.entries(DEFAULT_SETTINGS).map(([key, fallback]) => [
+      key,
+      isValidSetting(key, settings[key]) ? settings[key] : fallback,
+    ]),
+  );
+}
@@ -0,0 +1,48 @@
+import { StoppingCriteria } from "@huggingface/transformers";
+
+/**
+ * Stops generation once the answer contains one of the `stop` strings; the
+ * first one found is kept in `matched`.
+ *
+ * Only the tokens generated since `isActive()` became true are considered
+ * (e.g. the answer but not the reasoning), without `skip_token_ids` (e.g.
+ * `</think>`). Each step decodes just enough of the last tokens to hold the
+ * longest string.
+ */
+export class StopStringCriteria extends StoppingCriteria {
+  constructor(
+    tokenizer,
+    stop,
+    { isActive = () => true, skip_token_ids = [] } = {},
+  ) {
+    super();
+    this.tokenizer = tokenizer;
+    this.stop = stop.filter((text) => text.length > 0);
+    this.isActive = isActive;
+    this.skip_token_ids = skip_token_ids;
+    // A character may take several byte-level tokens.
+    this.window = 4 * Math.max(0, ...this.stop.map((text) => text.length));
+    this.start = null;
+    this.matched = null;
+  }
+
+  _call(input_ids) {
+    return input_ids.map((ids) => {
+      if (this.matched !== null) return true;
+      if (this.stop.length === 0) return false;
+      if (!this.isActive()) {
+        this.start = ids.length;
+        return false;
+      }
+      // The first call follows the first generated token
+      this.start ??= ids.length - 1;
+
+      const tail = ids
+        .slice(Math.max(this.start, ids.length - this.window))
+        .filter((id) => !this.skip_token_ids.includes(Number(id)));
+      const text = this.tokenizer.decode(tail, { skip_special_tokens: true });
+      this.matched = this.stop.find((stop) => text.includes(stop)) ?? null;
+      return this.matched !== null;
+    });
+  }
+}
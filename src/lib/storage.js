@@ -0,0 +1,189 @@
+import { MODELS } from "./models";
+
+/**
+ * Model files cached by Transformers.js in the Cache Storage, keyed by their
+ * URL on the Hub: https://huggingface.co/{model}/resolve/{revision}/{file}.
+ */
+const CACHE_NAME = "transformers-cache";
+const HUB_URL = "https://huggingface.co/";
+const FILE_URL_REGEX =
+  /^https:\/\/huggingface\.co\/(.+?)\/resolve\/[^/]+\/(.+)$/;
+
+// Suffixes of the ONNX weights by dtype, as chosen by Transformers.js
+const DTYPE_SUFFIXES = {
+  fp32: "",
+  fp16: "_fp16",
+  q8: "_quantized",
+  q4: "_q4",
+  q4f16: "_q4f16",
+};
+const WEIGHTS_REGEX = /^onnx\/model(_[a-z0-9]+)?\.onnx/;
+
+// Files loaded together with the weights of a text generation model
+const CONFIG_FILES = [
+  "config.json",
+  "generation_config.json",
+  "tokenizer.json",
+  "tokenizer_config.json",
+];
+
+function getCache() {
+  if (typeof caches === "undefined") {
+    throw new Error("The Cache Storage is not available in this browser");
+  }
+  return caches.open(CACHE_NAME);
+}
+
+function weightsFile(dtype) {
+  return `onnx/model${DTYPE_SUFFIXES[dtype]}.onnx`;
+}
+
+// The dtype of the weights in `file`, if it holds weights
+function dtypeOf(file) {
+  const match = file.match(WEIGHTS_REGEX);
+  if (!match) return null;
+  return (
+    Object.keys(DTYPE_SUFFIXES).find(
+      (dtype) => DTYPE_SUFFIXES[dtype] === (match[1] ?? ""),
+    ) ?? null
+  );
+}
+
+async function responseSize(response) {
+  const length = response.headers.get("content-length");
+  return length !== null ? Number(length) : (await response.blob()).size;
+}
+
+/**
+ * `size` in bytes, e.g. "1.5GB".
+ */
+export function formatBytes(size) {
+  const i = size == 0 ? 0 : Math.floor(Math.log(size) / Math.log(1024));
+  return (
+    +(size / Math.pow(1024, i)).toFixed(2) * 1 +
+    ["B", "kB", "MB", "GB", "TB"][i]
+  );
+}
+
+/**
+ * The cached models, largest first, as `{id, name, dtypes, files, size}`
+ * where `files` are `{file, size}`.
+ */
+export async function listCachedModels() {
+  const cache = await getCache();
+  const models = new Map();
+  for (const request of await cache.keys()) {
+    const match = request.url.match(FILE_URL_REGEX);
+    if (!match) continue;
+    const [, id, file] = match;
+    const response = await cache.match(request);
+    const size = response ? await responseSize(response) : 0;
+
+    if (!models.has(id)) {
+      const name = MODELS.find((model) => model.id === id)?.name ?? id;
+      models.set(id, { id, name, dtypes: [], files: [], size: 0 });
+    }
+    const model = models.get(id);
+    model.files.push({ file, size });
+    model.size += size;
+    const dtype = dtypeOf(file);
+    if (dtype && !model.dtypes.includes(dtype)) model.dtypes.push(dtype);
+  }
+  return [...models.values()].sort((a, b) => b.size - a.size);
+}
+
+/**
+ * Delete every cached file of model `id`.
+ */
+export async function deleteCachedModel(id) {
+  const cache = await getCache();
+  for (const request of await cache.keys()) {
+    if (request.url.match(FILE_URL_REGEX)?.[1] === id) {
+      await cache.delete(request);
+    }
+  }
+}
+
+/**
+ * Storage used by this origin (in bytes), the quota granted by the browser,
+ * and whether the storage is persistent.
+ */
+export async function getStorageInfo() {
+  if (!navigator.storage) return { usage: null, quota: null, persisted: false };
+  const [{ usage, quota }, persisted] = await Promise.all([
+    navigator.storage.estimate(),
+    navigator.storage.persisted(),
+  ]);
+  return { usage, quota, persisted };
+}
+
+/**
+ * Ask the browser not to evict the cached models under storage pressure.
+ * Resolves with whether the storage is now persistent.
+ */
+export async function requestPersistence() {
+  return (await navigator.storage?.persist()) ?? false;
+}
+
+/**
+ * Download the files that Transformers.js loads for model `id` with `dtype`
+ * into its cache, without creating an inference session. Files already
+ * cached are skipped. `onProgress({file, loaded, total})` reports each file.
+ */
+export async function downloadModel(
+  id,
+  dtype,
+  { onProgress = () => {}, signal } = {},
+) {
+  const response = await fetch(`${HUB_URL}api/models/${id}`, { signal });
+  if (!response.ok) {
+    throw new Error(`Unable to list the files of ${id} (${response.status})`);
+  }
+  const weights = weightsFile(dtype);
+  const files = (await response.json()).siblings
+    .map((sibling) => sibling.rfilename)
+    .filter(
+      (file) =>
+        CONFIG_FILES.includes(file) ||
+        file === weights ||
+        // Weights above 2 GB are split into external data files
+        file.startsWith(`${weights}_data`),
+    );
+  if (!files.includes(weights)) {
+    throw new Error(`${id} has no ${dtype} weights`);
+  }
+
+  const cache = await getCache();
+  for (const file of files) {
+    const url = `${HUB_URL}${id}/resolve/main/${file}`;
+    const cached = await cache.match(url);
+    if (cached) {
+      const size = await responseSize(cached);
+      onProgress({ file, loaded: size, total: size });
+      continue;
+    }
+
+    const response = await fetch(url, { signal });
+    if (!response.ok) {
+      throw new Error(`Unable to download ${file} (${response.status})`);
+    }
+    const total = Number(response.headers.get("content-length"));
+    let loaded = 0;
+    onProgress({ file, loaded, total });
+    const counter = new TransformStream({
+      transform(chunk, controller) {
+        loaded += chunk.length;
+        onProgress({ file, loaded, total });
+        controller.enqueue(chunk);
+      },
+    });
+    await cache.put(
+      url,
+      new Response(response.body.pipeThrough(counter), {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers,
+      }),
+    );
+  }
+}
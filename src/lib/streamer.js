@@ -0,0 +1,127 @@
+import { BaseStreamer } from "@huggingface/transformers";
+
+// Scripts written without spaces, which are streamed character by character.
+const CJK_REGEX =
+  /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uf900-\ufaff]$/;
+
+/**
+ * Streams the reasoning and the answer of a generation separately.
+ *
+ * Tokens are routed by the `<think>` and `</think>` token ids before being
+ * decoded, so text is never attributed to the wrong part, however many
+ * tokens are decoded at once. The reasoning starts without `<think>` when
+ * the prompt already opens it; text streamed as answer before a `</think>`
+ * without opening tag is moved to the reasoning (`answerReset`).
+ *
+ * `callback_function({thinking, answer, answerReset})` receives the new text
+ * of each part; `reasoning` and `answer` hold the full texts.
+ */
+export class ReasoningStreamer extends BaseStreamer {
+  constructor(
+    tokenizer,
+    { think_token_ids = [], callback_function, token_callback_function } = {},
+  ) {
+    super();
+    this.tokenizer = tokenizer;
+    [this.start_token_id, this.end_token_id] = think_token_ids;
+    this.callback_function = callback_function;
+    this.token_callback_function = token_callback_function;
+
+    this.state = "answering"; // 'thinking' or 'answering'
+    this.opened = false;
+    this.reasoning = "";
+    this.answer = "";
+    this.token_cache = [];
+    this.print_len = 0;
+    this.next_tokens_are_prompt = true;
+  }
+
+  put(value) {
+    if (value.length > 1) {
+      throw Error("ReasoningStreamer only supports batch size of 1");
+    }
+    const tokens = value[0];
+    const ids = tokens.map(Number);
+
+    if (this.next_tokens_are_prompt) {
+      this.next_tokens_are_prompt = false;
+      if (
+        ids.lastIndexOf(this.start_token_id) >
+        ids.lastIndexOf(this.end_token_id)
+      ) {
+        this.state = "thinking";
+        this.opened = true;
+      }
+      return;
+    }
+    this.token_callback_function?.(tokens);
+
+    ids.forEach((id, i) => {
+      if (id === this.start_token_id) {
+        this.flush();
+        this.state = "thinking";
+        this.opened = true;
+      } else if (id === this.end_token_id) {
+        this.flush();
+        if (this.state === "answering" && !this.opened && this.answer) {
+          // The model was reasoning without opening tag
+          this.reasoning += this.answer;
+          this.callback_function({
+            thinking: this.answer,
+            answer: "",
+            answerReset: true,
+          });
+          this.answer = "";
+        }
+        this.state = "answering";
+      } else {
+        this.token_cache.push(tokens[i]);
+      }
+    });
+
+    const text = this.decode();
+    let printable;
+    if (text.endsWith("\n")) {
+      printable = text.slice(this.print_len);
+      this.token_cache = [];
+      this.print_len = 0;
+    } else if (CJK_REGEX.test(text)) {
+      printable = text.slice(this.print_len);
+      this.print_len += printable.length;
+    } else {
+      // Hold back the last word, which may change with the next token
+      printable = text.slice(this.print_len, text.lastIndexOf(" ") + 1);
+      this.print_len += printable.length;
+    }
+    this.emit(printable);
+  }
+
+  end() {
+    this.flush();
+  }
+
+  decode() {
+    return this.tokenizer.decode(this.token_cache, {
+      skip_special_tokens: true,
+    });
+  }
+
+  // Emit the rest of the current part
+  flush() {
+    const text = this.decode().slice(this.print_len);
+    this.token_cache = [];
+    this.print_len = 0;
+    this.emit(text);
+  }
+
+  emit(text) {
+    if (!text) return;
+    if (this.state === "thinking") {
+      this.reasoning += text;
+      this.callback_function({ thinking: text, answer: "" });
+    } else {
+      this.answer += text;
+      this.callback_function({ thinking: "", answer: text });
+    }
+  }
+}
@@ -0,0 +1,56 @@
+// Qwen3 calls tools with a JSON object between <tool_call> tags (see its chat
+// template). A block without closing tag is still being generated.
+const TOOL_CALL_REGEX = /<tool_call>([\s\S]*?)(<\/tool_call>|$)/g;
+
+/**
+ * Parse the JSON of a tool call into `{name, arguments}`, or `{error}` if the
+ * model produced something else.
+ */
+export function parseToolCall(json) {
+  try {
+    const { name, arguments: args = {} } = JSON.parse(json);
+    if (typeof name !== "string") throw new Error("missing tool name");
+    return {
+      name,
+      arguments: typeof args === "string" ? JSON.parse(args) : args,
+    };
+  } catch (error) {
+    return { error: `Invalid tool call: ${error.message}` };
+  }
+}
+
+/**
+ * The complete tool calls in `text`, in order.
+ */
+export function parseToolCalls(text) {
+  return [...text.matchAll(TOOL_CALL_REGEX)]
+    .filter(([, , end]) => end)
+    .map(([, json]) => parseToolCall(json.trim()));
+}
+
+/**
+ * Split `text` into `{type: "text", content}` and `{type: "tool_call", raw,
+ * pending, ...call}` parts, for rendering while the text is streamed.
+ */
+export function splitToolCalls(text) {
+  const parts = [];
+  let lastIndex = 0;
+  for (const match of text.matchAll(TOOL_CALL_REGEX)) {
+    const [block, json, end] = match;
+    if (match.index > lastIndex) {
+      parts.push({ type: "text", content: text.slice(lastIndex, match.index) });
+    }
+    const raw = json.trim();
+    parts.push({
+      type: "tool_call",
+      raw,
+      pending: !end,
+      ...(end ? parseToolCall(raw) : {}),
+    });
+    lastIndex = match.index + block.length;
+  }
+  if (lastIndex < text.length) {
+    parts.push({ type: "text", content: text.slice(lastIndex) });
+  }
+  return parts;
+}
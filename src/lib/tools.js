@@ -0,0 +1,71 @@
+import { formatObservation, runCell } from "./kernels";
+
+/**
+ * Tools the model can call. A tool has a `name`, a `description` and a JSON
+ * schema of its arguments (`parameters`), which are given to the chat
+ * template, and a `handler(args, {kernelId, signal})` that runs on the main
+ * thread and resolves with the result sent back to the model.
+ */
+const tools = new Map();
+
+// Tool calls answered in a row before the model has to reply on its own
+export const MAX_TOOL_ROUNDS = 5;
+
+export function registerTool(tool) {
+  tools.set(tool.name, tool);
+}
+
+/**
+ * The registered tools, in the format expected by `apply_chat_template`.
+ */
+export function getToolSchemas() {
+  return [...tools.values()].map(({ name, description, parameters }) => ({
+    type: "function",
+    function: { name, description, parameters },
+  }));
+}
+
+/**
+ * Run a parsed tool call. Failures are reported to the model as the result,
+ * so that it can correct the call.
+ */
+export async function callTool({ name, arguments: args, error }, context) {
+  if (error) return error;
+  const tool = tools.get(name);
+  if (!tool) return `Error: unknown tool "${name}"`;
+  try {
+    const result = await tool.handler(args, context);
+    return typeof result === "string" ? result : JSON.stringify(result);
+  } catch (e) {
+    return `Error: ${e.message}`;
+  }
+}
+
+registerTool({
+  name: "get_current_time",
+  description: "Get the current date, time and time zone of the user.",
+  parameters: { type: "object", properties: {} },
+  handler: () => ({
+    time: new Date().toString(),
+    timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+  }),
+});
+
+for (const language of ["python", "javascript"]) {
+  registerTool({
+    name: `run_${language}`,
+    description: `Run ${language === "python" ? "Python" : "JavaScript"} code in the conversation's kernel and get its output. Variables persist between calls.`,
+    parameters: {
+      type: "object",
+      properties: {
+        code: { type: "string", description: "The code to run." },
+      },
+      required: ["code"],
+    },
+    handler: async ({ code }, { kernelId, signal }) =>
+      formatObservation(
+        language,
+        await runCell(kernelId, language, code, { signal }),
+      ),
+  });
+}
@@ -0,0 +1,190 @@
+import { upgradeMessage } from "./context";
+import { sanitizeSettings } from "./settings";
+import { ROOT, createTree, getPath, mapMessages } from "./tree";
+
+export const TRANSCRIPT_FORMAT = "private-talk-conversation";
+// Version 2 keeps the reasoning of assistant messages in `reasoning` instead
+// of splitting `content` at `answerIndex`.
+export const TRANSCRIPT_VERSION = 2;
+
+/**
+ * Render the active branch of a conversation as Markdown. Message contents
+ * are already Markdown, so code fences are kept as-is; reasoning is optionally
+ * included as a collapsible `<details>` block.
+ */
+export function toMarkdown(
+  { title, tree, systemPrompt, modelId },
+  { includeReasoning = false } = {},
+) {
+  const lines = [`# ${title}`, ""];
+  if (modelId) {
+    lines.push(`_Model: ${modelId}_`, "");
+  }
+  if (systemPrompt) {
+    lines.push("## System", "", systemPrompt, "");
+  }
+
+  for (const message of getPath(tree)) {
+    if (message.role === "user") {
+      lines.push("## User", "", message.content.trim(), "");
+      continue;
+    }
+    if (message.role === "tool") {
+      const heading = message.name ? `## Tool: ${message.name}` : "## Tool";
+      lines.push(heading, "", message.content.trim(), "");
+      continue;
+    }
+    const { reasoning } = message;
+    lines.push("## Assistant", "");
+    if (includeReasoning && reasoning) {
+      lines.push(
+        "<details>",
+        "<summary>Reasoning</summary>",
+        "",
+        reasoning,
+        "",
+        "</details>",
+        "",
+      );
+    }
+    lines.push(message.content.trim(), "");
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Serialize a conversation, including all branches, to the versioned JSON
+ * transcript format.
+ */
+export function toJSON({ title, tree, settings, systemPrompt, modelId, dtype }) {
+  return JSON.stringify(
+    {
+      format: TRANSCRIPT_FORMAT,
+      version: TRANSCRIPT_VERSION,
+      exportedAt: new Date().toISOString(),
+      title,
+      model: { id: modelId, dtype },
+      settings,
+      systemPrompt,
+      // The active branch, for consumers that do not care about the tree.
+      messages: getPath(tree).map(({ role, content, reasoning }) => ({
+        role,
+        content,
+        reasoning,
+      })),
+      tree,
+    },
+    null,
+    2,
+  );
+}
+
+function isMessage(x) {
+  return (
+    ["user", "assistant", "tool"].includes(x?.role) &&
+    typeof x.content === "string"
+  );
+}
+
+function isNode(node, id) {
+  return (
+    node?.id === id &&
+    Array.isArray(node.children) &&
+    (node.active === null ||
+      (Number.isInteger(node.active) &&
+        node.active >= 0 &&
+        node.active < node.children.length)) &&
+    (id === ROOT ? node.parent === null : isMessage(node.message))
+  );
+}
+
+/**
+ * Whether `x` is a well-formed tree: every node is reached exactly once from
+ * the root, through children whose `parent` points back. An imported cycle
+ * would make `getPath` loop forever.
+ */
+function isTree(x) {
+  const nodes = x?.nodes;
+  if (typeof nodes !== "object" || nodes === null) return false;
+  if (!Object.entries(nodes).every(([id, node]) => isNode(node, id))) {
+    return false;
+  }
+  if (!Object.hasOwn(nodes, ROOT)) return false;
+
+  const visited = new Set();
+  const stack = [ROOT];
+  while (stack.length > 0) {
+    const id = stack.pop();
+    if (visited.has(id)) return false;
+    visited.add(id);
+    for (const child of nodes[id].children) {
+      if (!Object.hasOwn(nodes, child) || nodes[child].parent !== id) {
+        return false;
+      }
+      stack.push(child);
+    }
+  }
+  return visited.size === Object.keys(nodes).length;
+}
+
+/**
+ * Parse and validate a JSON transcript. Throws an `Error` describing the
+ * problem if the file cannot be imported.
+ */
+export function parseTranscript(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("File is not valid JSON.");
+  }
+  if (data?.format !== TRANSCRIPT_FORMAT) {
+    throw new Error("File is not a Private Talk conversation.");
+  }
+  if (!Number.isInteger(data.version) || data.version > TRANSCRIPT_VERSION) {
+    throw new Error(`Unsupported transcript version: ${data.version}.`);
+  }
+
+  let tree;
+  if (isTree(data.tree)) {
+    tree = data.tree;
+  } else if (Array.isArray(data.messages) && data.messages.every(isMessage)) {
+    tree = createTree(data.messages);
+  } else {
+    throw new Error("Transcript contains no messages.");
+  }
+
+  return {
+    title: typeof data.title === "string" ? data.title : null,
+    tree: mapMessages(tree, upgradeMessage),
+    settings: sanitizeSettings(data.settings),
+    systemPrompt:
+      typeof data.systemPrompt === "string" ? data.systemPrompt : "",
+    modelId: data.model?.id ?? null,
+  };
+}
+
+/**
+ * Make the browser download `content` as a file.
+ */
+export function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * A filesystem-friendly version of a conversation title.
+ */
+export function toFilename(title) {
+  return (
+    title
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-|-$/g, "")
+      .slice(0, 60) || "conversation"
+  );
+}
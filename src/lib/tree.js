@@ -0,0 +1,135 @@
+/**
+ * Conversations are stored as a tree of messages: regenerating an answer or
+ * editing a question adds a sibling branch instead of overwriting history.
+ * Every node remembers which of its children is active, and the chat shows
+ * the path obtained by following the active children from the root.
+ *
+ * All functions are pure and return a new tree.
+ */
+export const ROOT = "root";
+
+function createNode(id, parent, message = null) {
+  return { id, parent, message, children: [], active: null };
+}
+
+/**
+ * Create a tree, optionally with a single branch holding `messages`.
+ */
+export function createTree(messages = []) {
+  let tree = { nodes: { [ROOT]: createNode(ROOT, null) } };
+  for (const message of messages) {
+    tree = appendMessage(tree, message);
+  }
+  return tree;
+}
+
+function lastId(tree) {
+  let node = tree.nodes[ROOT];
+  while (node.active !== null) {
+    node = tree.nodes[node.children[node.active]];
+  }
+  return node.id;
+}
+
+/**
+ * The active branch as a flat list of messages. Each message carries its
+ * position among its siblings as `branch: { index, count }`.
+ */
+export function getPath(tree) {
+  const path = [];
+  let node = tree.nodes[ROOT];
+  while (node.active !== null) {
+    const branch = { index: node.active, count: node.children.length };
+    node = tree.nodes[node.children[node.active]];
+    path.push({ ...node.message, id: node.id, branch });
+  }
+  return path;
+}
+
+/**
+ * Replace every message of the tree with `fn(message)`, e.g. to upgrade
+ * stored messages.
+ */
+export function mapMessages(tree, fn) {
+  const nodes = Object.fromEntries(
+    Object.entries(tree.nodes).map(([id, node]) => [
+      id,
+      node.message ? { ...node, message: fn(node.message) } : node,
+    ]),
+  );
+  return { ...tree, nodes };
+}
+
+/**
+ * Add `message` as a new (active) child of `parentId`.
+ */
+export function addChild(tree, parentId, message) {
+  const parent = tree.nodes[parentId];
+  const node = createNode(crypto.randomUUID(), parentId, message);
+  return {
+    ...tree,
+    nodes: {
+      ...tree.nodes,
+      [node.id]: node,
+      [parentId]: {
+        ...parent,
+        children: [...parent.children, node.id],
+        active: parent.children.length,
+      },
+    },
+  };
+}
+
+/**
+ * Add `message` at the end of the active branch.
+ */
+export function appendMessage(tree, message) {
+  return addChild(tree, lastId(tree), message);
+}
+
+/**
+ * Update the last message of the active branch with the fields returned by
+ * `fn(message)`.
+ */
+export function updateLast(tree, fn) {
+  const node = tree.nodes[lastId(tree)];
+  const message = { ...node.message, ...fn(node.message) };
+  return {
+    ...tree,
+    nodes: { ...tree.nodes, [node.id]: { ...node, message } },
+  };
+}
+
+/**
+ * Make `id` the end of the active branch, e.g. so that a new answer can be
+ * added as a sibling of the current one. Existing children are kept.
+ */
+export function rewindTo(tree, id) {
+  return {
+    ...tree,
+    nodes: { ...tree.nodes, [id]: { ...tree.nodes[id], active: null } },
+  };
+}
+
+/**
+ * Make child `index` of `id` the active one, e.g. to undo `rewindTo`.
+ */
+export function setActive(tree, id, index) {
+  return {
+    ...tree,
+    nodes: { ...tree.nodes, [id]: { ...tree.nodes[id], active: index } },
+  };
+}
+
+/**
+ * Switch from `id` to the sibling `offset` positions away.
+ */
+export function selectSibling(tree, id, offset) {
+  const parent = tree.nodes[tree.nodes[id].parent];
+  const index = parent.children.indexOf(id) + offset;
+  if (index < 0 || index >= parent.children.length) return tree;
+  return {
+    ...tree,
+    nodes: { ...tree.nodes, [parent.id]: { ...parent, active: index } },
+  };
+}
@@ -0,0 +1,217 @@
+/**
+ * Dedicated worker hosting the Pyodide interpreter shared by all Python code
+ * blocks. Pyodide is loaded on the first run, and packages are installed from
+ * the imports of each snippet before it runs.
+ */
+const CACHE_PREFIX = "pyodide-";
+
+let indexURL = null;
+let interruptBuffer = null;
+let cache_name = null;
+let pyodide_promise = null;
+
+// Globals of each kernel, created on its first run
+const namespaces = new Map();
+
+// Turns figures and DataFrames into data the main thread can render
+const DISPLAY_HELPERS = `
+import base64, io, json, os, sys, warnings
+
+os.environ["MPLBACKEND"] = "AGG"
+warnings.filterwarnings("ignore", message=".*non-interactive.*")
+
+MAX_ROWS = 100
+
+def figures():
+    if "matplotlib.pyplot" not in sys.modules:
+        return []
+    plt = sys.modules["matplotlib.pyplot"]
+    images = []
+    for num in plt.get_fignums():
+        buffer = io.BytesIO()
+        plt.figure(num).savefig(buffer, format="png", bbox_inches="tight")
+        images.append("data:image/png;base64," + base64.b64encode(buffer.getvalue()).decode())
+    plt.close("all")
+    return images
+
+def table(value):
+    pd = sys.modules.get("pandas")
+    if pd is None:
+        return None
+    if isinstance(value, pd.Series):
+        value = value.to_frame()
+    if not isinstance(value, pd.DataFrame):
+        return None
+    head = value.head(MAX_ROWS)
+    return json.dumps({
+        "columns": [""] + [str(c) for c in head.columns],
+        "rows": [
+            [str(i)] + [str(x) for x in row]
+            for i, row in zip(head.index, head.itertuples(index=False))
+        ],
+        "total": len(value),
+    })
+`;
+let figures = null;
+let toTable = null;
+
+function getNamespace(pyodide, kernel) {
+  if (!namespaces.has(kernel)) {
+    const namespace = pyodide.globals.get("dict")();
+    namespace.set("__name__", "__main__");
+    namespaces.set(kernel, namespace);
+  }
+  return namespaces.get(kernel);
+}
+
+// A server without the file may answer with the app's index.html instead,
+// which was cached as the file by earlier versions.
+const isPage = (response) =>
+  response.headers.get("content-type")?.startsWith("text/html") ?? false;
+
+/**
+ * Keep everything Pyodide loads (runtime, standard library and package
+ * wheels) in Cache Storage, so that Python keeps working offline.
+ */
+const networkFetch = self.fetch.bind(self);
+self.fetch = async (input, init) => {
+  const url = input instanceof Request ? input.url : String(input);
+  if (!url.startsWith(indexURL) || !self.caches) {
+    return networkFetch(input, init);
+  }
+  const cache = await caches.open(cache_name);
+  const cached = await cache.match(url);
+  if (cached && !isPage(cached)) return cached;
+
+  const response = await networkFetch(input, init);
+  if (!response.ok || isPage(response)) {
+    const file = url.slice(indexURL.length);
+    throw new Error(
+      file.endsWith(".whl")
+        ? `The Python package ${file} is not available. Download it with \`npm run pyodide:packages\`.`
+        : `Unable to load ${file} (${response.status})`,
+    );
+  }
+  await cache.put(url, response.clone());
+  return response;
+};
+
+/**
+ * Import a script of the Pyodide runtime through the cached `fetch`, since
+ * module imports bypass it.
+ */
+async function importCached(file) {
+  const response = await self.fetch(`${indexURL}${file}`);
+  const url = URL.createObjectURL(
+    new Blob([await response.text()], { type: "text/javascript" }),
+  );
+  try {
+    return await import(/* @vite-ignore */ url);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+// Caches of other Pyodide versions are never used again.
+async function deleteOldCaches() {
+  if (!self.caches) return;
+  for (const name of await caches.keys()) {
+    if (name.startsWith(CACHE_PREFIX) && name !== cache_name) {
+      await caches.delete(name);
+    }
+  }
+}
+
+function getPyodide() {
+  pyodide_promise ??= (async () => {
+    try {
+      // Defines `_createPyodideModule`, so that `loadPyodide` does not
+      // import it again.
+      await importCached("pyodide.asm.js");
+      const { loadPyodide } = await importCached("pyodide.mjs");
+      const pyodide = await loadPyodide({ indexURL });
+      if (interruptBuffer) pyodide.setInterruptBuffer(interruptBuffer);
+      const helpers = pyodide.globals.get("dict")();
+      pyodide.runPython(DISPLAY_HELPERS, { globals: helpers });
+      figures = helpers.get("figures");
+      toTable = helpers.get("table");
+      return pyodide;
+    } catch (error) {
+      // Allow the next run to try again
+      pyodide_promise = null;
+      throw new Error(`Failed to load Python: ${error.message}`);
+    }
+  })();
+  return pyodide_promise;
+}
+
+async function run(id, kernel, code) {
+  const post = (type, data) => self.postMessage({ type, id, ...data });
+
+  if (!pyodide_promise) {
+    post("loading", { text: "Loading Python environment..." });
+  }
+  const pyodide = await getPyodide();
+  pyodide.setStdout({ batched: (text) => post("stdout", { text }) });
+  pyodide.setStderr({ batched: (text) => post("stderr", { text }) });
+  await pyodide.loadPackagesFromImports(code, {
+    messageCallback: (text) => post("loading", { text }),
+    errorCallback: (text) => post("stderr", { text }),
+  });
+
+  if (interruptBuffer) interruptBuffer[0] = 0;
+  post("started");
+  let result;
+  try {
+    result = await pyodide.runPythonAsync(code, {
+      globals: getNamespace(pyodide, kernel),
+    });
+  } finally {
+    // Figures are shown even if the code failed after drawing them
+    const images = figures();
+    for (const src of images)
+      post("display", { output: { type: "image", src } });
+    images.destroy();
+  }
+
+  try {
+    if (result === undefined) return null;
+    const table = toTable(result);
+    if (table === undefined) return String(result);
+    post("display", { output: { type: "table", ...JSON.parse(table) } });
+    return null;
+  } finally {
+    result?.destroy?.();
+  }
+}
+
+self.addEventListener("message", async (e) => {
+  const { type, id } = e.data;
+  switch (type) {
+    case "init":
+      ({ indexURL, interruptBuffer } = e.data);
+      cache_name = `${CACHE_PREFIX}${e.data.version}`;
+      deleteOldCaches().catch((e) =>
+        console.error("Failed to delete old Pyodide caches:", e),
+      );
+      break;
+
+    case "restart":
+      namespaces.get(e.data.kernel)?.destroy();
+      namespaces.delete(e.data.kernel);
+      break;
+
+    case "run":
+      try {
+        const { kernel, code } = e.data;
+        self.postMessage({
+          type: "result",
+          id,
+          text: await run(id, kernel, code),
+        });
+      } catch (error) {
+        self.postMessage({ type: "error", id, text: error.message });
+      }
+      break;
+  }
+});
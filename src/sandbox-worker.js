@@ -0,0 +1,176 @@
+/**
+ * Dedicated worker that runs model-generated JavaScript away from the page:
+ * it has no access to the DOM, and it is started from a sandboxed iframe
+ * (see sandbox.js) so that its origin is opaque, away from the app's storage
+ * and channels. Each worker is the kernel of one conversation, so globals
+ * persist across runs. The main thread terminates it on timeout or when the
+ * user stops execution, so infinite loops cannot freeze the UI.
+ */
+
+const AsyncFunction = async function () {}.constructor;
+
+/**
+ * Render any value the way a REPL would.
+ */
+function formatValue(value, seen = new WeakSet()) {
+  if (typeof value === "string") return value;
+  if (typeof value === "function") {
+    return `[Function: ${value.name || "anonymous"}]`;
+  }
+  if (typeof value === "bigint") return `${value}n`;
+  if (typeof value === "symbol") return value.toString();
+  if (value === null || typeof value !== "object") return String(value);
+  if (value instanceof Error) return `${value.name}: ${value.message}`;
+  if (seen.has(value)) return "[Circular]";
+  seen.add(value);
+
+  const inner = (x) =>
+    typeof x === "string" ? JSON.stringify(x) : formatValue(x, seen);
+  if (Array.isArray(value)) {
+    return `[ ${value.map(inner).join(", ")} ]`;
+  }
+  if (value instanceof Map) {
+    const entries = [...value].map(([k, v]) => `${inner(k)} => ${inner(v)}`);
+    return `Map(${value.size}) { ${entries.join(", ")} }`;
+  }
+  if (value instanceof Set) {
+    return `Set(${value.size}) { ${[...value].map(inner).join(", ")} }`;
+  }
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof RegExp) return value.toString();
+
+  const name = value.constructor?.name;
+  const entries = Object.entries(value).map(([k, v]) => `${k}: ${inner(v)}`);
+  const body = entries.length ? `{ ${entries.join(", ")} }` : "{}";
+  return name && name !== "Object" ? `${name} ${body}` : body;
+}
+
+for (const level of ["log", "info", "warn", "error", "debug"]) {
+  console[level] = (...args) => {
+    self.postMessage({
+      type: "console",
+      level,
+      text: args.map((x) => formatValue(x)).join(" "),
+    });
+  };
+}
+
+const MAX_TABLE_ROWS = 100;
+
+// Arrays of plain objects, e.g. records parsed from JSON
+function isTabular(value) {
+  return (
+    Array.isArray(value) &&
+    value.length > 0 &&
+    value.every((x) => x?.constructor === Object)
+  );
+}
+
+/**
+ * Table of an array or object, with one row per entry (like `console.table`).
+ */
+function toTable(data, properties) {
+  const entries = Object.entries(data);
+  const rows = entries.slice(0, MAX_TABLE_ROWS);
+  const objects = rows.every(([, x]) => x !== null && typeof x === "object");
+  const columns =
+    properties ??
+    (objects ? [...new Set(rows.flatMap(([, x]) => Object.keys(x)))] : []);
+  const cell = (x) =>
+    x === undefined ? "" : typeof x === "string" ? x : formatValue(x);
+
+  return {
+    type: "table",
+    columns: ["(index)", ...(objects ? columns : ["Values"])],
+    rows: rows.map(([key, x]) => [
+      key,
+      ...(objects ? columns.map((column) => cell(x[column])) : [cell(x)]),
+    ]),
+    total: entries.length,
+  };
+}
+
+console.table = (data, properties) => {
+  if (data === null || typeof data !== "object") return console.log(data);
+  self.postMessage({ type: "display", output: toTable(data, properties) });
+};
+
+// Declarations at the start of a line, i.e. at the top level of formatted code
+const DECLARATION_REGEX =
+  /^(?:const|let|var|class|(?:async\s+)?function\*?)\s+([\w$]+|[{[][^=]*?[}\]])/gm;
+
+function declaredNames(code) {
+  const names = new Set();
+  for (const [, target] of code.matchAll(DECLARATION_REGEX)) {
+    // Destructuring patterns: `{ a, b: c, ...d }` or `[a, , b = 1]`
+    const parts = /^[{[]/.test(target)
+      ? target.slice(1, -1).split(",")
+      : [target];
+    for (const part of parts) {
+      const name = part
+        .split("=")[0]
+        .split(":")
+        .pop()
+        .replace("...", "")
+        .trim();
+      if (/^[\w$]+$/.test(name)) names.add(name);
+    }
+  }
+  return names;
+}
+
+/**
+ * Make the top-level declarations of `code` outlive the run by copying them
+ * to the global scope when it ends. `const`, `let` and `class` become `var`,
+ * so that they are visible when copied and running a block twice works.
+ */
+function persist(code) {
+  const names = declaredNames(code);
+  if (names.size === 0) return code;
+  const body = code
+    .replace(/^(const|let)(\s)/gm, "var$2")
+    .replace(/^class\s+([\w$]+)/gm, "var $1 = class $1");
+  return `try {\n${body}\n} finally {\n  Object.assign(globalThis, { ${[...names].join(", ")} });\n}`;
+}
+
+/**
+ * Compile `code` into an async function. Single expressions return their
+ * value (like a REPL); anything else runs as a function body, where `await`
+ * and `return` are allowed at the top level. The value is wrapped in an array
+ * so that a returned Promise is not adopted by the async function.
+ */
+function compile(code) {
+  try {
+    return new AsyncFunction(`return [(${code}\n)];`);
+  } catch {
+    return new AsyncFunction(
+      `const __result = await (async () => {\n${persist(code)}\n})();\nreturn [__result];`,
+    );
+  }
+}
+
+async function run(code) {
+  const [value] = await compile(code)();
+  if (value instanceof Promise) {
+    try {
+      return `Promise { <fulfilled>: ${formatValue(await value)} }`;
+    } catch (e) {
+      return `Promise { <rejected>: ${formatValue(e)} }`;
+    }
+  }
+  if (isTabular(value)) {
+    self.postMessage({ type: "display", output: toTable(value) });
+    return null;
+  }
+  return value === undefined ? null : formatValue(value);
+}
+
+self.addEventListener("message", async (e) => {
+  const { type, code } = e.data;
+  if (type !== "run") return;
+  try {
+    self.postMessage({ type: "result", text: await run(code) });
+  } catch (error) {
+    self.postMessage({ type: "error", text: formatValue(error) });
+  }
+});
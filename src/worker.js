@@ -1,184 +1,618 @@
 import {
   AutoTokenizer,
   AutoModelForCausalLM,
-  TextStreamer,
   InterruptableStoppingCriteria,
+  LogitsProcessorList,
 } from "@huggingface/transformers";
 
+import { DEFAULT_MODEL_ID, getDefaultDtype, getModel } from "./lib/models";
+import {
+  CONTINUE_MARKER,
+  fitContext,
+  getPromptBudget,
+  stripReasoning,
+  withReasoning,
+} from "./lib/context";
+import { KVCache } from "./lib/kv-cache";
+import {
+  JsonSchemaLogitsProcessor,
+  SamplingLogitsProcessor,
+  createRandom,
+} from "./lib/sampling";
+import { PROTOCOL_VERSION, errorEvent, validateRequest } from "./lib/protocol";
+import { DEFAULT_SETTINGS } from "./lib/settings";
+import { StopStringCriteria } from "./lib/stopping";
+import { ReasoningStreamer } from "./lib/streamer";
+import { parseToolCalls } from "./lib/tool-calls";
+
 /**
- * Helper function to perform feature detection for WebGPU
+ * Helper function to perform feature detection for WebGPU, falling back to
+ * the WASM (CPU) backend when no adapter is available.
  */
 // let fp16_supported = false;
-async function check() {
+async function detectBackend() {
+  let device = "wasm";
   try {
-    const adapter = await navigator.gpu.requestAdapter();
-    if (!adapter) {
-      throw new Error("WebGPU is not supported (no adapter found)");
+    const adapter = await navigator.gpu?.requestAdapter();
+    if (adapter) {
+      device = "webgpu";
     }
     // fp16_supported = adapter.features.has("shader-f16")
   } catch (e) {
-    self.postMessage({
-      status: "error",
-      data: e.toString(),
-    });
+    console.warn("WebGPU adapter request failed, using WASM:", e);
   }
+  return { device, dtype: getDefaultDtype(getModel(DEFAULT_MODEL_ID), device) };
+}
+
+let backend_promise = null;
+async function check() {
+  backend_promise ??= detectBackend();
+  self.postMessage({ status: "backend", data: await backend_promise });
 }
 
 /**
  * This class uses the Singleton pattern to enable lazy-loading of the pipeline
  */
 class TextGenerationPipeline {
-  static model_id = "onnx-community/Qwen3-0.6B-ONNX";
+  static model_id = DEFAULT_MODEL_ID;
+  static dtype = null;
 
   static async getInstance(progress_callback = null) {
+    backend_promise ??= detectBackend();
+    const { device } = await backend_promise;
+    this.dtype ??= getDefaultDtype(getModel(this.model_id), device);
+
+    // A failed load is retried by the next call.
     this.tokenizer ??= AutoTokenizer.from_pretrained(this.model_id, {
       progress_callback,
+    }).catch((error) => {
+      this.tokenizer = null;
+      throw error;
     });
 
     this.model ??= AutoModelForCausalLM.from_pretrained(this.model_id, {
-      dtype: "q4f16",
-      device: "webgpu",
+      dtype: this.dtype,
+      device,
       progress_callback,
+    }).catch((error) => {
+      this.model = null;
+      throw error;
     });
 
     return Promise.all([this.tokenizer, this.model]);
   }
+
+  /**
+   * Release the current tokenizer/model. The next call to `getInstance`
+   * loads them again.
+   */
+  static async release() {
+    const model = await this.model?.catch(() => null);
+    await model?.dispose();
+    this.tokenizer = null;
+    this.model = null;
+  }
+
+  /**
+   * Release the current tokenizer/model and select another one. The next
+   * call to `getInstance` loads it.
+   */
+  static async select(model_id, dtype = null) {
+    if (this.model_id === model_id && (!dtype || this.dtype === dtype)) {
+      return false;
+    }
+    await this.release();
+    this.model_id = model_id;
+    this.dtype = dtype;
+    return true;
+  }
 }
 
-const stopping_criteria = new InterruptableStoppingCriteria();
+/**
+ * Requests that use the model, in order of arrival; the first one is running.
+ * Generation requests have an `id`, which is echoed in every message about
+ * them. Model loads are queued too, so that a model is never released while
+ * it generates.
+ */
+const queue = [];
+
+/**
+ * Key/value caches by slot (e.g. one per conversation), least recently used
+ * first. Each one can hold the keys/values of a full context on the GPU, so
+ * only a few are kept.
+ */
+const MAX_CACHE_SLOTS = 3;
+const kv_caches = new Map();
+
+function getCache(slot) {
+  const cache = kv_caches.get(slot) ?? new KVCache();
+  kv_caches.delete(slot);
+  kv_caches.set(slot, cache);
+  for (const [oldest, evicted] of kv_caches) {
+    if (kv_caches.size <= MAX_CACHE_SLOTS) break;
+    evicted.clear();
+    kv_caches.delete(oldest);
+  }
+  return cache;
+}
+
+// Clear the cache of `slot`, or all caches.
+function clearCaches(slot = null) {
+  for (const [key, cache] of kv_caches) {
+    if (slot !== null && key !== slot) continue;
+    cache.clear();
+    kv_caches.delete(key);
+  }
+}
+
+const SPEAKERS = { user: "User", assistant: "Assistant", tool: "Tool" };
+
+/**
+ * Summary of the turns most recently dropped by the "summarize" context
+ * strategy, so that regenerating does not summarize them again.
+ */
+let summary_cache = null;
+async function summarize(
+  tokenizer,
+  model,
+  turns,
+  max_chars,
+  { id, stopping_criteria },
+) {
+  const transcript = turns
+    .map(
+      (x) =>
+        `${SPEAKERS[x.role]}: ${stripReasoning(x.content)}`,
+    )
+    .join("\n\n")
+    .slice(-max_chars);
+  if (summary_cache?.transcript === transcript) {
+    return summary_cache.summary;
+  }
+
+  self.postMessage({ status: "summarizing", id });
+  const inputs = tokenizer.apply_chat_template(
+    [
+      {
+        role: "user",
+        content: `Summarize the following conversation in a few sentences. Keep names, facts, decisions and open questions.\n\n${transcript}`,
+      },
+    ],
+    { add_generation_prompt: true, return_dict: true, enable_thinking: false },
+  );
+  const { sequences } = await model.generate({
+    ...inputs,
+    do_sample: false,
+    max_new_tokens: 512,
+    // Stopping the request stops the summary too
+    stopping_criteria,
+    return_dict_in_generate: true,
+  });
+  const [summary] = tokenizer.batch_decode(
+    sequences.slice(null, [inputs.input_ids.dims.at(-1), null]),
+    { skip_special_tokens: true },
+  );
+  if (stopping_criteria.interrupted) {
+    // Not worth keeping for the next request
+    return stripReasoning(summary).trim();
+  }
+  summary_cache = { transcript, summary: stripReasoning(summary).trim() };
+  return summary_cache.summary;
+}
+
+// Text of every token id, by tokenizer (see JsonSchemaLogitsProcessor)
+const token_texts = new WeakMap();
+function getTokenTexts(tokenizer) {
+  if (!token_texts.has(tokenizer)) {
+    const special = new Set(tokenizer.added_tokens.map((x) => x.id));
+    const texts = tokenizer.model.vocab.map((_, id) => {
+      if (special.has(id)) return null;
+      const text = tokenizer.decode([id], {
+        clean_up_tokenization_spaces: false,
+      });
+      // Byte-level tokens that are only part of a character
+      return text.includes("\uFFFD") ? null : text;
+    });
+    token_texts.set(tokenizer, texts);
+  }
+  return token_texts.get(tokenizer);
+}
+
+async function generate({
+  id,
+  slot = "default",
+  stopping_criteria,
+  messages,
+  continueMessage = false,
+  reasonEnabled,
+  settings,
+  systemPrompt,
+  tools,
+}) {
+  const {
+    do_sample,
+    temperature,
+    top_k,
+    top_p,
+    min_p,
+    repetition_penalty,
+    max_new_tokens,
+    seed,
+    context_strategy,
+    json_mode,
+    json_schema,
+    stop,
+  } = { ...DEFAULT_SETTINGS, ...settings };
+  // In JSON mode, the answer is a JSON value matching the schema (if any).
+  const schema = json_mode ? JSON.parse(json_schema.trim() || "{}") : null;
 
-let past_key_values_cache = null;
-async function generate({ messages, reasonEnabled }) {
   // Retrieve the text-generation pipeline.
   const [tokenizer, model] = await TextGenerationPipeline.getInstance();
+  const { thinking, contextLength } = getModel(TextGenerationPipeline.model_id);
+  const template_options = {
+    enable_thinking: thinking && reasonEnabled && !schema,
+  };
+  if (tools?.length > 0 && !schema) {
+    template_options.tools = tools;
+  }
+
+  if (schema) {
+    // Tell the model what the constrained decoding will enforce anyway
+    const instruction =
+      Object.keys(schema).length > 0
+        ? `Answer with JSON matching this JSON Schema:\n${JSON.stringify(schema)}`
+        : "Answer with JSON.";
+    systemPrompt = systemPrompt ? `${systemPrompt}\n\n${instruction}` : instruction;
+  }
+  if (systemPrompt) {
+    messages = [{ role: "system", content: systemPrompt }, ...messages];
+  }
+
+  // To continue the last (assistant) message, e.g. after it reached the
+  // length limit, the prompt ends where the message does. Its reasoning
+  // stays open if it has no answer yet.
+  const partial = continueMessage ? messages.at(-1) : null;
+  if (partial) {
+    const content =
+      partial.content || !partial.reasoning
+        ? withReasoning(partial)
+        : `<think>\n${partial.reasoning}`;
+    messages = [
+      ...messages.slice(0, -1),
+      { role: "assistant", content: content + CONTINUE_MARKER },
+    ];
+  }
 
-  const inputs = tokenizer.apply_chat_template(messages, {
-    add_generation_prompt: true,
-    return_dict: true,
-    enable_thinking: reasonEnabled,
+  // Make sure the prompt leaves room for the answer.
+  const budget = getPromptBudget(contextLength, max_new_tokens);
+  const fitted = await fitContext(tokenizer, messages, {
+    budget,
+    strategy: context_strategy,
+    template_options,
+    summarize: (turns) =>
+      // Roughly three characters per token
+      summarize(tokenizer, model, turns, budget * 3, {
+        id,
+        stopping_criteria,
+      }),
+  });
+  self.postMessage({
+    status: "context",
+    id,
+    promptTokens: fitted.promptTokens,
+    contextLength,
+    truncation: fitted.truncation,
   });
 
-  const [START_THINKING_TOKEN_ID, END_THINKING_TOKEN_ID] = tokenizer.encode(
-    "<think></think>",
-    { add_special_tokens: false },
-  );
+  let inputs;
+  if (partial) {
+    const text = tokenizer.apply_chat_template(fitted.messages, {
+      ...template_options,
+      tokenize: false,
+    });
+    inputs = tokenizer(text.slice(0, text.lastIndexOf(CONTINUE_MARKER)), {
+      add_special_tokens: false,
+    });
+  } else {
+    inputs = tokenizer.apply_chat_template(fitted.messages, {
+      ...template_options,
+      add_generation_prompt: true,
+      return_dict: true,
+    });
+  }
 
-  let state = "answering"; // 'thinking' or 'answering'
+  // Only models with dedicated <think> tokens switch between states.
+  const think_token_ids = thinking
+    ? tokenizer.encode("<think></think>", { add_special_tokens: false })
+    : [];
+
+  let toolCalls = [];
   let startTime;
   let numTokens = 0;
   let tps;
-  const token_callback_function = (tokens) => {
+  const token_callback_function = () => {
     startTime ??= performance.now();
 
     if (numTokens++ > 0) {
       tps = (numTokens / (performance.now() - startTime)) * 1000;
     }
-    switch (Number(tokens[0])) {
-      case START_THINKING_TOKEN_ID:
-        state = "thinking";
-        break;
-      case END_THINKING_TOKEN_ID:
-        state = "answering";
-        break;
-    }
-    console.log(state, tokens, tokenizer.decode(tokens));
   };
-  const callback_function = (output) => {
+  const callback_function = ({ thinking, answer, answerReset }) => {
     self.postMessage({
       status: "update",
-      output,
+      id,
+      thinking,
+      answer,
+      answerReset,
       tps,
       numTokens,
-      state,
+      state: streamer.state,
     });
+
+    // Report tool calls as soon as they are complete
+    if (!answer) return;
+    const calls = parseToolCalls(streamer.answer);
+    for (const call of calls.slice(toolCalls.length)) {
+      self.postMessage({ status: "tool_call", id, call });
+    }
+    toolCalls = calls;
   };
 
-  const streamer = new TextStreamer(tokenizer, {
-    skip_prompt: true,
-    skip_special_tokens: true,
+  const streamer = new ReasoningStreamer(tokenizer, {
+    think_token_ids,
     callback_function,
     token_callback_function,
   });
 
-  // Tell the main thread we are starting
-  self.postMessage({ status: "start" });
+  // Stop strings end the answer (but not the reasoning, nor JSON answers).
+  const stop_criteria = new StopStringCriteria(tokenizer, schema ? [] : stop, {
+    isActive: () => streamer.state === "answering",
+    skip_token_ids: think_token_ids,
+  });
 
-  const { past_key_values, sequences } = await model.generate({
-    ...inputs,
-    past_key_values: past_key_values_cache,
+  const logits_processor = new LogitsProcessorList();
+  if (schema) {
+    logits_processor.push(
+      new JsonSchemaLogitsProcessor(schema, {
+        tokens: getTokenTexts(tokenizer),
+        eos_token_ids: [
+          model.generation_config?.eos_token_id ?? tokenizer.eos_token_id,
+        ].flat(),
+      }),
+    );
+  }
+  if (do_sample) {
+    logits_processor.push(
+      new SamplingLogitsProcessor({ temperature, top_k, top_p, min_p }),
+    );
+  }
 
-    // Sampling
-    do_sample: true,
-    // repetition_penalty: 1.1,
-    top_k: 20,
-    temperature: reasonEnabled ? 0.6 : 0.7,
+  // Reuse the cached key/values only as far as the prompt is unchanged
+  // (earlier turns may have been edited or removed).
+  const past_key_values = await getCache(slot).take(
+    inputs.input_ids.tolist()[0],
+  );
 
-    max_new_tokens: 16384,
-    streamer,
-    stopping_criteria,
-    return_dict_in_generate: true,
+  // Tell the main thread we are starting
+  self.postMessage({
+    status: "start",
+    id,
+    format: schema ? "json" : "text",
+    continued: partial !== null,
   });
-  past_key_values_cache = past_key_values;
+
+  // The sampler draws from `Math.random`, so a seeded generator is swapped
+  // in for the duration of the call to make outputs reproducible.
+  const random = Math.random;
+  if (do_sample && Number.isInteger(seed)) {
+    Math.random = createRandom(seed);
+  }
+  const limit = Math.min(max_new_tokens, contextLength - fitted.promptTokens);
+  let result;
+  try {
+    result = await model.generate({
+      ...inputs,
+      past_key_values,
+
+      // Sampling
+      do_sample,
+      repetition_penalty,
+      top_k,
+      temperature,
+      logits_processor,
+
+      max_new_tokens: limit,
+      streamer,
+      stopping_criteria: [stopping_criteria, stop_criteria],
+      return_dict_in_generate: true,
+    });
+  } finally {
+    Math.random = random;
+  }
+  const { sequences } = result;
+  // The slot may have been cleared in the meantime
+  getCache(slot).update(result.past_key_values, sequences.tolist()[0]);
 
   const decoded = tokenizer.batch_decode(sequences, {
     skip_special_tokens: true,
   });
 
+  let { reasoning, answer } = streamer;
+  let finish_reason = "stop";
+  if (stopping_criteria.interrupted) {
+    finish_reason = "interrupted";
+  } else if (stop_criteria.matched !== null) {
+    // The stop string is not part of the answer
+    finish_reason = "stop_sequence";
+    const index = answer.indexOf(stop_criteria.matched);
+    if (index >= 0) answer = answer.slice(0, index);
+  } else if (numTokens >= limit) {
+    finish_reason = "length";
+  }
+  if (partial) {
+    reasoning = (partial.reasoning ?? "") + reasoning;
+    answer = partial.content + answer;
+  }
+
   // Send the output back to the main thread
   self.postMessage({
     status: "complete",
+    id,
     output: decoded,
+    reasoning: reasoning.trim(),
+    answer: answer.trim(),
+    toolCalls,
+    promptTokens: fitted.promptTokens,
+    numTokens,
+    finish_reason,
   });
 }
 
-async function load() {
+/**
+ * Queue `request`; it starts once the requests before it are done.
+ */
+function enqueue(request) {
+  queue.push(request);
+  if (queue.length === 1) run();
+}
+
+function enqueueGeneration(data) {
+  const request = {
+    ...data,
+    type: "generate",
+    stopping_criteria: new InterruptableStoppingCriteria(),
+  };
   self.postMessage({
-    status: "loading",
-    data: "Loading model...",
+    status: "queued",
+    id: request.id,
+    position: queue.length,
   });
+  enqueue(request);
+}
 
-  // Load the pipeline and save it for future use.
-  const [tokenizer, model] = await TextGenerationPipeline.getInstance((x) => {
-    // We also add a progress callback to the pipeline so that we can
-    // track model loading.
-    self.postMessage(x);
-  });
+async function run() {
+  while (queue.length > 0) {
+    const request = queue[0];
+    if (request.type === "load") {
+      await load(request.data);
+    } else {
+      try {
+        await generate(request);
+      } catch (error) {
+        self.postMessage(errorEvent("generate", error, { id: request.id }));
+      }
+    }
+    queue.shift();
+  }
+}
 
+/**
+ * Cancel request `id`: a queued request is dropped ("cancelled"), while the
+ * running one stops and completes with what it generated so far.
+ */
+function cancel(id) {
+  const index = queue.findIndex((request) => request.id === id);
+  if (index === 0) {
+    queue[0].stopping_criteria.interrupt();
+  } else if (index > 0) {
+    queue.splice(index, 1);
+    self.postMessage({ status: "cancelled", id });
+  }
+}
+
+async function load({ model_id, dtype } = {}) {
+  let phase = "load";
+  try {
+    if (model_id && (await TextGenerationPipeline.select(model_id, dtype))) {
+      // Cached key/values belong to the previous model.
+      clearCaches();
+    }
+
+    self.postMessage({
+      status: "loading",
+      data: `Loading ${getModel(TextGenerationPipeline.model_id).name}...`,
+    });
+
+    // Load the pipeline and save it for future use.
+    const [tokenizer, model] = await TextGenerationPipeline.getInstance((x) => {
+      // We also add a progress callback to the pipeline so that we can
+      // track model loading.
+      self.postMessage(x);
+    });
+
+    phase = "warmup";
+    const { device } = await backend_promise;
+    self.postMessage({
+      status: "loading",
+      data:
+        device === "webgpu"
+          ? "Compiling shaders and warming up model..."
+          : "Warming up model...",
+    });
+
+    // Run model with dummy input to compile shaders (or warm up the WASM runtime)
+    const inputs = tokenizer("a");
+    await model.generate({ ...inputs, max_new_tokens: 1 });
+  } catch (error) {
+    // Start over when the load is retried, e.g. after running out of memory
+    await TextGenerationPipeline.release();
+    clearCaches();
+    self.postMessage(errorEvent(phase, error));
+    return;
+  }
   self.postMessage({
-    status: "loading",
-    data: "Compiling shaders and warming up model...",
+    status: "ready",
+    data: {
+      model_id: TextGenerationPipeline.model_id,
+      dtype: TextGenerationPipeline.dtype,
+    },
   });
-
-  // Run model with dummy input to compile shaders
-  const inputs = tokenizer("a");
-  await model.generate({ ...inputs, max_new_tokens: 1 });
-  self.postMessage({ status: "ready" });
 }
 // Listen for messages from the main thread
 self.addEventListener("message", async (e) => {
   const { type, data } = e.data;
+  const invalid = validateRequest(e.data);
+  if (invalid) {
+    self.postMessage(
+      errorEvent("protocol", new Error(invalid), {
+        id: data?.id,
+        // Retrying would send the same request
+        recoverable: false,
+      }),
+    );
+    return;
+  }
 
   switch (type) {
+    case "hello":
+      self.postMessage({ status: "hello", version: PROTOCOL_VERSION });
+      break;
+
     case "check":
       check();
       break;
 
     case "load":
-      load();
+      enqueue({ type: "load", data });
+      break;
+
+    case "switch_model":
+      // Dispose the current model and load another one, once the running
+      // generation is done
+      enqueue({ type: "load", data });
       break;
 
     case "generate":
-      stopping_criteria.reset();
-      generate(data);
+      enqueueGeneration(data);
       break;
 
-    case "interrupt":
-      stopping_criteria.interrupt();
+    case "cancel":
+      cancel(data.id);
       break;
 
     case "reset":
-      past_key_values_cache = null;
-      stopping_criteria.reset();
+      // Clear the key/value cache of a slot, or all of them
+      clearCaches(data?.slot);
       break;
   }
 });
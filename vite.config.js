@@ -1,8 +1,99 @@
+import { createReadStream, existsSync, readFileSync } from "node:fs";
+import { createRequire } from "node:module";
+import path from "node:path";
 import { defineConfig } from "vite";
 import tailwindcss from "@tailwindcss/vite";
 import react from "@vitejs/plugin-react";
 
+const PYODIDE_DIR = path.dirname(
+  createRequire(import.meta.url).resolve("pyodide/package.json"),
+);
+const PYODIDE_FILES = [
+  "pyodide.mjs",
+  "pyodide.asm.js",
+  "pyodide.asm.wasm",
+  "python_stdlib.zip",
+  "pyodide-lock.json",
+];
+const MIME_TYPES = {
+  ".mjs": "text/javascript",
+  ".js": "text/javascript",
+  ".wasm": "application/wasm",
+  ".zip": "application/zip",
+  ".json": "application/json",
+};
+
+/**
+ * Make the page cross-origin isolated, so that Python code can be interrupted
+ * through a SharedArrayBuffer instead of terminating its worker (and losing
+ * every kernel). These headers are only sent by `vite` and `vite preview`:
+ * hosts of the built app must send them with every response, i.e.
+ *
+ *   Cross-Origin-Opener-Policy: same-origin
+ *   Cross-Origin-Embedder-Policy: require-corp
+ *
+ * Without them, the app still works but stopping Python code restarts it.
+ */
+const ISOLATION_HEADERS = {
+  "Cross-Origin-Opener-Policy": "same-origin",
+  "Cross-Origin-Embedder-Policy": "require-corp",
+};
+
+// Missing wheels must not fall back to index.html, which Pyodide would take
+// for the package.
+function notFound(res) {
+  res.statusCode = 404;
+  res.end("Not found. Download Pyodide packages with `npm run pyodide:packages`.");
+}
+
+/**
+ * Serve the Pyodide runtime from the app's own origin under `pyodide/`.
+ * Package wheels are not part of the npm package: download them into
+ * `public/pyodide/` with `npm run pyodide:packages`.
+ */
+function pyodide() {
+  return {
+    name: "pyodide",
+    config() {
+      return {
+        server: { headers: ISOLATION_HEADERS },
+        preview: { headers: ISOLATION_HEADERS },
+      };
+    },
+    configureServer(server) {
+      server.middlewares.use(`${server.config.base}pyodide/`, (req, res, next) => {
+        const file = req.url.slice(1).split("?")[0];
+        if (PYODIDE_FILES.includes(file)) {
+          res.setHeader("Content-Type", MIME_TYPES[path.extname(file)]);
+          createReadStream(path.join(PYODIDE_DIR, file)).pipe(res);
+        } else if (existsSync(path.join(server.config.publicDir, "pyodide", file))) {
+          next();
+        } else {
+          notFound(res);
+        }
+      });
+    },
+    configurePreviewServer(server) {
+      const dir = path.resolve(server.config.root, server.config.build.outDir);
+      server.middlewares.use(`${server.config.base}pyodide/`, (req, res, next) => {
+        const file = req.url.slice(1).split("?")[0];
+        if (existsSync(path.join(dir, "pyodide", file))) return next();
+        notFound(res);
+      });
+    },
+    generateBundle() {
+      for (const file of PYODIDE_FILES) {
+        this.emitFile({
+          type: "asset",
+          fileName: `pyodide/${file}`,
+          source: readFileSync(path.join(PYODIDE_DIR, file)),
+        });
+      }
+    },
+  };
+}
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [tailwindcss(), react()],
+  plugins: [tailwindcss(), react(), pyodide()],
 });